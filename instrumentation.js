@@ -0,0 +1,18 @@
+/**
+ * Next.js Instrumentation Hook
+ *
+ * Runs once when the server starts. Attaches the WebSocket proxy to the HTTP server created
+ * by server.js, so /api/ws/[chainId] accepts connections right after startup. Without that
+ * server (e.g. `next start` or serverless deployments) WebSockets are not served.
+ */
+export async function register() {
+    // 条件需直接包住 import，edge 构建才会剔除 Node.js 模块
+    if (process.env.NEXT_RUNTIME === 'nodejs') {
+        const { attachWebSocketProxy } = await import('./lib/wsProxy');
+        // server.js 已运行过时，Next.js 在首个请求时再次调用，无需重复挂载
+        if (global.rpcProxyServer && !global.rpcProxyServer.rpcWebSocketServer) {
+            attachWebSocketProxy(global.rpcProxyServer);
+            console.log('WebSocket proxy attached at /api/ws/[chainId]');
+        }
+    }
+}
\ No newline at end of file
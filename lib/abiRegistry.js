@@ -0,0 +1,484 @@
+/**
+ * Runtime ABI Registry
+ *
+ * Contract ABIs registered at runtime, next to the ABIs configured in abi.json. Every
+ * registration of a name adds a new version; contract calls use the latest version. A
+ * contract can be bound to chain and address pairs, so callers of those addresses may omit
+ * contractName.
+ *
+ * The registry is kept in memory and persisted through an optional storage backend (a JSON
+ * file or a KV namespace). With a backend configured, the registry is reloaded from storage
+ * periodically so that all instances see the same registrations.
+ */
+
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import abiConfig from './abi.json';
+import rpcConfig from './rpcs.json';
+import { createLocalKvNamespace } from './rpcCache';
+import { ERROR_CODES, ProxyError } from './errors';
+
+// How long a registry loaded from storage is used before it is reloaded
+const REGISTRY_REFRESH_MS = 30 * 1000;
+
+// Number of versions kept per ABI, the oldest are removed first
+const MAX_ABI_VERSIONS = 20;
+
+// ABI names are used in URLs and as contractName in contract calls
+const ABI_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+
+// Registered ABIs and bindings: { abis: { name: [{ version, abi, createdAt }] }, bindings: { "chainId:address": { chainId, address, contractName } } }
+let registry = { abis: {}, bindings: {} };
+
+let registryStore = null;
+let loadPromise = null;
+let loadedAt = 0;
+
+// Mutations are applied one at a time, each on the latest stored registry
+let mutationQueue = Promise.resolve();
+
+/**
+ * Check whether an object has its own property, names such as "toString" or "constructor"
+ * must not resolve to the prototype of abi.json or of the registry
+ * @param {Object} object - The object to look in
+ * @param {string} key - The property name
+ * @returns {boolean} True if the object has the property itself
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Create a storage backend that persists the registry to a JSON file
+ * @param {string} filePath - The path of the JSON file
+ * @returns {Object} A storage backend with load() and save(registry) methods
+ */
+function createFileAbiStore(filePath) {
+    return {
+        async load() {
+            try {
+                return JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async save(snapshot) {
+            await fs.writeFile(filePath, JSON.stringify(snapshot));
+        }
+    };
+}
+
+/**
+ * Create a storage backend that persists the registry under a single KV key
+ * @param {Object} namespace - A KV namespace with get(key) and put(key, value)
+ * @param {string} key - The key of the registry
+ * @returns {Object} A storage backend with load() and save(registry) methods
+ */
+function createKvAbiStore(namespace, key = 'abi-registry') {
+    return {
+        async load() {
+            const raw = await namespace.get(key);
+            return raw === null || raw === undefined ? null : JSON.parse(raw);
+        },
+        async save(snapshot) {
+            await namespace.put(key, JSON.stringify(snapshot));
+        }
+    };
+}
+
+/**
+ * Set the storage backend used to persist the registry
+ *
+ * A backend is any object with async load() returning the stored registry (or null) and
+ * async save(registry) accepting it.
+ *
+ * @param {Object|null} store - The storage backend, or null to keep the registry in memory only
+ */
+function setAbiStore(store) {
+    registryStore = store;
+    loadPromise = null;
+    loadedAt = 0;
+}
+
+/**
+ * Load the registry from storage when it was not loaded recently
+ * @param {boolean} force - Reload even if the registry was loaded recently
+ * @returns {Promise<void>}
+ */
+async function loadAbiRegistry(force = false) {
+    if (!registryStore) {
+        return;
+    }
+    if (!force && Date.now() - loadedAt < REGISTRY_REFRESH_MS) {
+        return;
+    }
+    if (!loadPromise) {
+        loadPromise = registryStore.load()
+            .then(snapshot => {
+                registry = { abis: {}, bindings: {}, ...snapshot };
+                loadedAt = Date.now();
+            })
+            .catch(error => {
+                // 读取失败时继续使用内存中的注册表
+                console.warn('Failed to load ABI registry:', error.message);
+            })
+            .finally(() => {
+                loadPromise = null;
+            });
+    }
+    await loadPromise;
+}
+
+/**
+ * Apply a change to the registry and persist it
+ *
+ * The change is applied to a copy of the latest stored registry; the in-memory registry is
+ * only replaced once the copy has been saved.
+ *
+ * @param {Function} change - Receives the registry copy, modifies it and returns the result of the mutation
+ * @returns {Promise<any>} The result of the change
+ * @throws {ProxyError} If the change is rejected or the registry cannot be saved
+ */
+function mutateRegistry(change) {
+    const mutation = mutationQueue.then(async () => {
+        await loadAbiRegistry(true);
+        const snapshot = JSON.parse(JSON.stringify(registry));
+        const result = change(snapshot);
+        if (registryStore) {
+            try {
+                await registryStore.save(snapshot);
+            } catch (error) {
+                throw new ProxyError(ERROR_CODES.INTERNAL_ERROR, `Failed to save ABI registry: ${error.message}`);
+            }
+            loadedAt = Date.now();
+        }
+        registry = snapshot;
+        return result;
+    });
+    mutationQueue = mutation.catch(() => {});
+    return mutation;
+}
+
+/**
+ * Check the admin token of an ABI registry request
+ *
+ * Requests must send the ABI_ADMIN_TOKEN environment variable as a Bearer token. Without
+ * ABI_ADMIN_TOKEN the registry endpoints are disabled.
+ *
+ * @param {Object} req - The HTTP request object
+ * @throws {ProxyError} FORBIDDEN if no admin token is configured, UNAUTHORIZED if the token is missing or wrong
+ */
+function authorizeAbiAdmin(req) {
+    const adminToken = process.env.ABI_ADMIN_TOKEN;
+    if (!adminToken) {
+        throw new ProxyError(ERROR_CODES.FORBIDDEN, 'ABI registry administration is disabled, set ABI_ADMIN_TOKEN to enable it');
+    }
+
+    const header = (req.headers && req.headers.authorization) || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    // 比较哈希值，避免按字符比较泄露令牌
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!match || !crypto.timingSafeEqual(digest(match[1].trim()), digest(adminToken))) {
+        throw new ProxyError(ERROR_CODES.UNAUTHORIZED, 'Missing or invalid admin token');
+    }
+}
+
+/**
+ * Validate an ABI name
+ * @param {any} name - The name
+ * @returns {string} The name
+ * @throws {ProxyError} If the name is invalid
+ */
+function validateAbiName(name) {
+    if (typeof name !== 'string' || !ABI_NAME_PATTERN.test(name)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'name must start with a letter or underscore and contain at most 64 letters, digits, underscores or hyphens');
+    }
+    if (name === '__proto__') {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${name} is reserved and cannot be used as ABI name`);
+    }
+    return name;
+}
+
+/**
+ * Validate an ABI by parsing it with ethers
+ *
+ * Every item is parsed on its own, ethers.Interface silently skips items it cannot parse.
+ *
+ * @param {Array|string} abi - The ABI as JSON array, JSON string or array of human-readable signatures
+ * @returns {Array<Object>} The ABI in JSON format
+ * @throws {ProxyError} If the ABI or one of its items cannot be parsed, or the ABI is empty
+ */
+function validateAbi(abi) {
+    let items = abi;
+    if (typeof abi === 'string') {
+        try {
+            items = JSON.parse(abi);
+        } catch (error) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid ABI: ${error.message}`);
+        }
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'Invalid ABI: expected a non-empty array of ABI items or signatures');
+    }
+
+    const fragments = items.map((item, index) => {
+        try {
+            return ethers.Fragment.from(item);
+        } catch (error) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid ABI: abi[${index}]: ${error.shortMessage || error.message}`);
+        }
+    });
+    return JSON.parse(new ethers.Interface(fragments).formatJson());
+}
+
+/**
+ * Validate chain and address bindings
+ * @param {Array<Object>} bindings - The bindings as { chainId, address }
+ * @returns {Array<Object>} The bindings with the chain ID and the checksummed address
+ * @throws {ProxyError} If a binding is invalid
+ */
+function validateBindings(bindings) {
+    if (!Array.isArray(bindings)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'bindings must be an array of { chainId, address }');
+    }
+    return bindings.map((binding, index) => {
+        const prefix = `bindings[${index}]`;
+        if (!binding || typeof binding !== 'object') {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix} must be an object`);
+        }
+        const chain = rpcConfig.find(item => item.chainId === Number(binding.chainId) || item.networkId === Number(binding.chainId));
+        if (!chain) {
+            throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `${prefix}: unsupported chain ID ${binding.chainId}`);
+        }
+        if (typeof binding.address !== 'string' || !ethers.isAddress(binding.address)) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: invalid address ${binding.address}`);
+        }
+        return { chainId: chain.chainId, address: ethers.getAddress(binding.address) };
+    });
+}
+
+/**
+ * Get the key of a chain and address binding
+ * @param {number} chainId - The chain ID
+ * @param {string} address - The contract address
+ * @returns {string} The key
+ */
+function getBindingKey(chainId, address) {
+    return `${Number(chainId)}:${address.toLowerCase()}`;
+}
+
+/**
+ * Replace the bindings of an ABI in a registry snapshot
+ * @param {Object} snapshot - The registry snapshot
+ * @param {string} name - The ABI name
+ * @param {Array<Object>} bindings - The validated bindings, an address bound to another ABI is rebound
+ */
+function replaceBindings(snapshot, name, bindings) {
+    for (const [key, binding] of Object.entries(snapshot.bindings)) {
+        if (binding.contractName === name) {
+            delete snapshot.bindings[key];
+        }
+    }
+    for (const binding of bindings) {
+        snapshot.bindings[getBindingKey(binding.chainId, binding.address)] = { ...binding, contractName: name };
+    }
+}
+
+/**
+ * Describe an ABI of the registry or of abi.json
+ * @param {Object} snapshot - The registry snapshot
+ * @param {string} name - The ABI name
+ * @returns {Object|null} { name, source, version, versions, bindings }, or null if the name is unknown
+ */
+function describeAbi(snapshot, name) {
+    const versions = hasOwn(snapshot.abis, name) ? snapshot.abis[name] : null;
+    if (!hasOwn(abiConfig, name) && !versions) {
+        return null;
+    }
+    return {
+        name: name,
+        source: hasOwn(abiConfig, name) ? 'config' : 'registry',
+        version: versions ? versions[versions.length - 1].version : null,
+        versions: versions ? versions.map(entry => ({ version: entry.version, createdAt: entry.createdAt })) : [],
+        bindings: Object.values(snapshot.bindings)
+            .filter(binding => binding.contractName === name)
+            .map(binding => ({ chainId: binding.chainId, address: binding.address }))
+    };
+}
+
+/**
+ * Register a new version of an ABI
+ * @param {string} name - The ABI name, names configured in abi.json cannot be registered
+ * @param {Array|string} abi - The ABI as JSON array, JSON string or array of human-readable signatures
+ * @param {Object} options - Optional registration options
+ * @param {Array<Object>} options.bindings - Chain and address pairs to bind to the ABI, replacing its current bindings
+ * @returns {Promise<Object>} The description of the ABI (see describeAbi)
+ * @throws {ProxyError} If the name, ABI or bindings are invalid
+ */
+async function registerAbi(name, abi, options = {}) {
+    validateAbiName(name);
+    if (hasOwn(abiConfig, name)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${name} is configured in abi.json and cannot be registered`);
+    }
+    const normalizedAbi = validateAbi(abi);
+    const bindings = options.bindings === undefined ? null : validateBindings(options.bindings);
+
+    return mutateRegistry(snapshot => {
+        const versions = hasOwn(snapshot.abis, name) ? snapshot.abis[name] : [];
+        versions.push({
+            version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+            abi: normalizedAbi,
+            createdAt: new Date().toISOString()
+        });
+        snapshot.abis[name] = versions.slice(-MAX_ABI_VERSIONS);
+        if (bindings) {
+            replaceBindings(snapshot, name, bindings);
+        }
+        return describeAbi(snapshot, name);
+    });
+}
+
+/**
+ * Replace the chain and address bindings of an ABI
+ * @param {string} name - The ABI name, registered or configured in abi.json
+ * @param {Array<Object>} bindings - The bindings as { chainId, address }, an empty array removes all bindings
+ * @returns {Promise<Object>} The description of the ABI (see describeAbi)
+ * @throws {ProxyError} If the ABI does not exist or a binding is invalid
+ */
+async function setAbiBindings(name, bindings) {
+    const validated = validateBindings(bindings);
+    return mutateRegistry(snapshot => {
+        if (!hasOwn(abiConfig, name) && !hasOwn(snapshot.abis, name)) {
+            throw new ProxyError(ERROR_CODES.NOT_FOUND, `ABI ${name} not found`);
+        }
+        replaceBindings(snapshot, name, validated);
+        return describeAbi(snapshot, name);
+    });
+}
+
+/**
+ * Delete a registered ABI or one of its versions
+ *
+ * Deleting the last version deletes the ABI and its bindings.
+ *
+ * @param {string} name - The ABI name
+ * @param {number} version - The version to delete, undefined to delete all versions
+ * @returns {Promise<Object|null>} The description of the remaining ABI, or null if it was deleted
+ * @throws {ProxyError} If the ABI or version does not exist, or the ABI is configured in abi.json
+ */
+async function deleteAbi(name, version) {
+    if (hasOwn(abiConfig, name)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${name} is configured in abi.json and cannot be deleted`);
+    }
+    return mutateRegistry(snapshot => {
+        const versions = hasOwn(snapshot.abis, name) ? snapshot.abis[name] : null;
+        if (!versions) {
+            throw new ProxyError(ERROR_CODES.NOT_FOUND, `ABI ${name} not found`);
+        }
+
+        const remaining = version === undefined ? [] : versions.filter(entry => entry.version !== version);
+        if (remaining.length === versions.length) {
+            throw new ProxyError(ERROR_CODES.NOT_FOUND, `Version ${version} of ABI ${name} not found`);
+        }
+        if (remaining.length > 0) {
+            snapshot.abis[name] = remaining;
+            return describeAbi(snapshot, name);
+        }
+
+        delete snapshot.abis[name];
+        replaceBindings(snapshot, name, []);
+        return null;
+    });
+}
+
+/**
+ * List the ABIs of abi.json and of the registry
+ * @returns {Array<Object>} One description per ABI (see describeAbi)
+ */
+function listAbis() {
+    return getContractNames().map(name => describeAbi(registry, name));
+}
+
+/**
+ * Get an ABI of the registry or of abi.json with its version details
+ * @param {string} name - The ABI name
+ * @param {number} version - The version, undefined for the latest
+ * @returns {Object|null} The description of the ABI with abi and createdAt of the version, or null if not found
+ */
+function getAbi(name, version) {
+    const description = describeAbi(registry, name);
+    if (!description) {
+        return null;
+    }
+    if (hasOwn(abiConfig, name)) {
+        return version === undefined ? { ...description, abi: abiConfig[name], createdAt: null } : null;
+    }
+
+    const versions = registry.abis[name];
+    const entry = version === undefined ? versions[versions.length - 1] : versions.find(item => item.version === version);
+    return entry ? { ...description, version: entry.version, abi: entry.abi, createdAt: entry.createdAt } : null;
+}
+
+/**
+ * Get the ABI used for contract calls: the abi.json entry, or the latest registered version
+ * @param {string} name - The contract name
+ * @returns {Array<Object>|null} The ABI, or null if the contract is unknown
+ */
+function getContractAbi(name) {
+    if (hasOwn(abiConfig, name)) {
+        return abiConfig[name];
+    }
+    const versions = hasOwn(registry.abis, name) ? registry.abis[name] : null;
+    return versions ? versions[versions.length - 1].abi : null;
+}
+
+/**
+ * Get the names of all contracts, from abi.json first
+ * @returns {Array<string>} The contract names
+ */
+function getContractNames() {
+    return [...Object.keys(abiConfig), ...Object.keys(registry.abis).filter(name => !hasOwn(abiConfig, name))];
+}
+
+/**
+ * Get the name of the ABI bound to a contract address
+ * @param {number} chainId - The chain ID
+ * @param {string} address - The contract address
+ * @returns {string|null} The contract name, or null if no ABI is bound to the address
+ */
+function getBoundContractName(chainId, address) {
+    if (typeof address !== 'string') {
+        return null;
+    }
+    const key = getBindingKey(chainId, address);
+    return hasOwn(registry.bindings, key) ? registry.bindings[key].contractName : null;
+}
+
+// Persist the registry when configured: ABI_REGISTRY_FILE (e.g. /tmp/abi-registry.json) or ABI_REGISTRY_BACKEND=kv
+if (process.env.ABI_REGISTRY_FILE) {
+    setAbiStore(createFileAbiStore(process.env.ABI_REGISTRY_FILE));
+} else if (process.env.ABI_REGISTRY_BACKEND === 'kv') {
+    setAbiStore(createKvAbiStore(createLocalKvNamespace()));
+}
+
+export {
+    MAX_ABI_VERSIONS,
+    createFileAbiStore,
+    createKvAbiStore,
+    setAbiStore,
+    loadAbiRegistry,
+    authorizeAbiAdmin,
+    validateAbi,
+    registerAbi,
+    setAbiBindings,
+    deleteAbi,
+    listAbis,
+    getAbi,
+    getContractAbi,
+    getContractNames,
+    getBoundContractName
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Archive Node Routing
+ *
+ * Full nodes only keep the state of recent blocks and fail reads of older state with errors
+ * such as "missing trie node". Nodes seen failing this way are remembered, and reads at
+ * historical blocks skip them while other nodes are available. A read that failed because of
+ * missing state is retried on archive nodes: the nodes flagged with "archive": true in
+ * rpcs.json or, on chains without flagged nodes, the nodes not known to lack historical state.
+ */
+
+// Block tags that always refer to recent blocks, which every node keeps the state of
+const RECENT_BLOCK_TAGS = ['latest', 'pending', 'safe', 'finalized'];
+
+// Nodes that failed a read because they lack historical state, by node URL
+const prunedNodes = new Set();
+
+/**
+ * Check whether a read at a block tag needs historical state
+ * @param {any} blockTag - The block tag of the read
+ * @returns {boolean} True for block numbers, block hashes and "earliest"
+ */
+function isHistoricalBlockTag(blockTag) {
+    return blockTag !== undefined && blockTag !== null && !RECENT_BLOCK_TAGS.includes(blockTag);
+}
+
+/**
+ * Check whether a node is flagged as archive node in rpcs.json
+ * @param {Object} chain - The chain configuration
+ * @param {string} rpcUrl - The RPC URL of the node
+ * @returns {boolean} True if the node entry sets archive to true
+ */
+function isArchiveNode(chain, rpcUrl) {
+    const node = chain && Array.isArray(chain.rpc) ? chain.rpc.find(entry => entry.url === rpcUrl) : null;
+    return Boolean(node && node.archive === true);
+}
+
+/**
+ * Remember that a node lacks historical state
+ * @param {string} rpcUrl - The RPC URL of the node
+ */
+function recordMissingState(rpcUrl) {
+    if (!rpcUrl || prunedNodes.has(rpcUrl)) {
+        return;
+    }
+    prunedNodes.add(rpcUrl);
+    console.log(`RPC node ${rpcUrl} lacks historical state, historical reads are routed to other nodes`);
+}
+
+/**
+ * Check whether a node is known to lack historical state
+ * @param {string} rpcUrl - The RPC URL of the node
+ * @returns {boolean} True if the node failed a read because of missing state
+ */
+function isPrunedNode(rpcUrl) {
+    return prunedNodes.has(rpcUrl);
+}
+
+/**
+ * Select the nodes of a chain that may serve a read of historical state
+ *
+ * Historical reads skip nodes known to lack historical state, unless no other node is left.
+ * Archive reads only go to the flagged archive nodes of the chain, or to the nodes not known
+ * to lack historical state when none is flagged.
+ *
+ * @param {Object} chain - The chain configuration
+ * @param {Array<string>} urls - The candidate RPC URLs
+ * @param {boolean} archive - Whether the read must go to archive nodes
+ * @returns {Array<string>} The URLs to select from, empty if no archive node is available
+ */
+function filterStateNodes(chain, urls, archive) {
+    const unpruned = urls.filter(url => !prunedNodes.has(url));
+    if (!archive) {
+        return unpruned.length > 0 ? unpruned : urls;
+    }
+
+    const flagged = urls.filter(url => isArchiveNode(chain, url));
+    return flagged.length > 0 ? flagged : unpruned;
+}
+
+export {
+    isHistoricalBlockTag,
+    isArchiveNode,
+    recordMissingState,
+    isPrunedNode,
+    filterStateNodes
+};
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Block Tags of Contract Reads
+ *
+ * Contract reads may be pinned to a block given as block number (decimal or hex), block hash,
+ * named tag (latest, safe, finalized, earliest) or point in time. A point in time, given as
+ * { "timestamp": <Unix seconds> } or as an ISO 8601 date, is resolved to the last block
+ * produced at or before it by searching the block headers of the chain.
+ */
+
+import { ethers } from 'ethers';
+import { getChainConfig, forwardRpcRequest } from './rpcHandler';
+import { getCachedValue, cacheValue } from './rpcCache';
+import { ERROR_CODES, ProxyError } from './errors';
+
+// Named block tags accepted on contract reads
+const NAMED_BLOCK_TAGS = ['latest', 'safe', 'finalized', 'earliest'];
+
+// How long the block of a timestamp is cached, in seconds
+const BLOCK_AT_TIMESTAMP_TTL_SECONDS = 86400;
+
+// Dates accepted as point in time, e.g. 2024-01-01 or 2024-01-01T12:00:00Z
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Parse a point in time
+ * @param {any} value - Unix timestamp in seconds or ISO 8601 date
+ * @returns {number} The Unix timestamp in seconds
+ * @throws {ProxyError} If the value is not a valid point in time
+ */
+function parseTimestamp(value) {
+    if (Number.isSafeInteger(value) && value >= 0) {
+        return value;
+    }
+    if (typeof value === 'string' && /^\d+$/.test(value.trim()) && Number.isSafeInteger(Number(value.trim()))) {
+        return Number(value.trim());
+    }
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value.trim())) {
+        const time = Date.parse(value.trim());
+        if (!Number.isNaN(time) && time >= 0) {
+            return Math.floor(time / 1000);
+        }
+    }
+    throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'timestamp must be Unix seconds or an ISO 8601 date');
+}
+
+/**
+ * Parse the block tag of a contract read
+ * @param {any} blockTag - Block number, block hash, named tag, { timestamp } or ISO 8601 date
+ * @returns {Object} { blockTag } for blocks and named tags, { timestamp } for points in time
+ * @throws {ProxyError} If the block tag is invalid
+ */
+function parseBlockTag(blockTag) {
+    if (blockTag === undefined || blockTag === null) {
+        return { blockTag: 'latest' };
+    }
+    if (Number.isSafeInteger(blockTag) && blockTag >= 0) {
+        return { blockTag: blockTag };
+    }
+    if (typeof blockTag === 'object' && !Array.isArray(blockTag) && 'timestamp' in blockTag) {
+        return { timestamp: parseTimestamp(blockTag.timestamp) };
+    }
+
+    const text = typeof blockTag === 'string' ? blockTag.trim() : '';
+    if (NAMED_BLOCK_TAGS.includes(text.toLowerCase())) {
+        return { blockTag: text.toLowerCase() };
+    }
+    if (ethers.isHexString(text, 32)) {
+        return { blockTag: text.toLowerCase() };
+    }
+    if (/^(0|[1-9][0-9]*)$/.test(text) || /^0x[0-9a-fA-F]+$/.test(text)) {
+        const blockNumber = Number(BigInt(text));
+        if (Number.isSafeInteger(blockNumber)) {
+            return { blockTag: blockNumber };
+        }
+    }
+    if (ISO_DATE_PATTERN.test(text)) {
+        return { timestamp: parseTimestamp(text) };
+    }
+
+    throw new ProxyError(
+        ERROR_CODES.INVALID_PARAMS,
+        `Invalid blockTag ${JSON.stringify(blockTag)}: expected a block number, a block hash, ${NAMED_BLOCK_TAGS.join(', ')}, { "timestamp": seconds } or an ISO 8601 date`
+    );
+}
+
+/**
+ * Fetch the number and timestamp of a block
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {number|string} blockTag - The block number or named tag
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<Object>} { number, timestamp }
+ * @throws {ProxyError} If the block does not exist
+ */
+async function fetchBlockHeader(chainId, blockTag, options) {
+    const block = await forwardRpcRequest({
+        method: 'eth_getBlockByNumber',
+        params: [typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag, false]
+    }, chainId, { sessionKey: options.sessionKey });
+    if (!block) {
+        throw new ProxyError(ERROR_CODES.NOT_FOUND, `Block ${blockTag} not found on chain ${chainId}`);
+    }
+    return { number: Number(block.number), timestamp: Number(block.timestamp) };
+}
+
+/**
+ * Find the last block produced at or before a point in time
+ *
+ * Searches between the first and the latest block, alternating between a guess interpolated
+ * from the block timestamps and plain bisection, so uneven block times cannot slow the search
+ * down beyond twice the bisection steps. Results below the chain head are cached.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {number} timestamp - The Unix timestamp in seconds
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<number>} The block number
+ * @throws {ProxyError} If the point in time is before the first block or in the future
+ */
+async function findBlockAtTimestamp(chainId, timestamp, options = {}) {
+    const chain = getChainConfig(chainId);
+    if (!chain) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Configuration not found for chain ID ${chainId}`);
+    }
+
+    const key = `blockAt:${chain.chainId}:${timestamp}`;
+    const cached = await getCachedValue(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    let high = await fetchBlockHeader(chainId, 'latest', options);
+    if (timestamp >= high.timestamp) {
+        if (timestamp > Math.floor(Date.now() / 1000)) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `timestamp ${timestamp} is in the future`);
+        }
+        // 下一个区块尚未产生，结果不缓存
+        return high.number;
+    }
+
+    let low = await fetchBlockHeader(chainId, 0, options);
+    if (timestamp < low.timestamp) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `timestamp ${timestamp} is before the first block of chain ${chainId}`);
+    }
+
+    // low.timestamp <= timestamp < high.timestamp
+    for (let step = 0; high.number - low.number > 1; step++) {
+        let guess = step % 2 === 0
+            ? low.number + Math.floor((timestamp - low.timestamp) * (high.number - low.number) / (high.timestamp - low.timestamp))
+            : Math.floor((low.number + high.number) / 2);
+        guess = Math.min(Math.max(guess, low.number + 1), high.number - 1);
+
+        const block = await fetchBlockHeader(chainId, guess, options);
+        if (block.timestamp <= timestamp) {
+            low = block;
+        } else {
+            high = block;
+        }
+    }
+
+    await cacheValue(key, low.number, BLOCK_AT_TIMESTAMP_TTL_SECONDS);
+    return low.number;
+}
+
+/**
+ * Resolve the block tag of a contract read to a block number, block hash or named tag
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {any} blockTag - Block number, block hash, named tag, { timestamp } or ISO 8601 date
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<number|string>} The block tag to read at
+ * @throws {ProxyError} If the block tag is invalid or the point in time cannot be resolved
+ */
+async function resolveBlockTag(chainId, blockTag, options = {}) {
+    const parsed = parseBlockTag(blockTag);
+    if (parsed.timestamp === undefined) {
+        return parsed.blockTag;
+    }
+    return findBlockAtTimestamp(chainId, parsed.timestamp, options);
+}
+
+export {
+    NAMED_BLOCK_TAGS,
+    parseBlockTag,
+    findBlockAtTimestamp,
+    resolveBlockTag
+};
\ No newline at end of file
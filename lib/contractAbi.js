@@ -0,0 +1,348 @@
+/**
+ * Contract ABI Helpers
+ *
+ * Helpers shared by the contract call paths (single calls, quorum reads, multicall reads and
+ * inline ABIs) to work with the functions of a contract ABI: selecting a function, coercing
+ * call arguments to its input types and shaping decoded results after its outputs.
+ */
+
+import { ethers } from 'ethers';
+import { ERROR_CODES, ProxyError } from './errors';
+
+// Formats of the numbers of decoded results
+const NUMBER_FORMATS = ['decimal', 'hex'];
+
+/**
+ * Find a function of a contract ABI by name, full signature or 4-byte selector
+ *
+ * A plain name only selects an overloaded function if it is unique; otherwise the error lists
+ * the signatures of the candidates, one of which must be given instead.
+ *
+ * @param {ethers.Interface} contractInterface - The contract interface
+ * @param {string} functionName - The name (transfer), signature (transfer(address,uint256)) or selector (0xa9059cbb)
+ * @param {string} contractName - The contract name used in error messages
+ * @returns {ethers.FunctionFragment} The function fragment
+ * @throws {ProxyError} If the function does not exist or the name is ambiguous, with the candidate signatures as data
+ */
+function findContractFunction(contractInterface, functionName, contractName) {
+    if (typeof functionName !== 'string' || functionName.trim() === '') {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'functionName must be a function name, signature or selector');
+    }
+
+    const candidates = contractInterface.fragments.filter(fragment => fragment.type === 'function' && fragment.name === functionName);
+    if (candidates.length > 1) {
+        const signatures = candidates.map(fragment => fragment.format('sighash'));
+        throw new ProxyError(
+            ERROR_CODES.INVALID_PARAMS,
+            `Function ${functionName} is overloaded in contract ${contractName}, use one of: ${signatures.join(', ')}`,
+            { candidates: signatures }
+        );
+    }
+
+    const key = /^0x[0-9a-fA-F]{8}$/.test(functionName) ? functionName.toLowerCase() : functionName.trim();
+    let fragment = null;
+    try {
+        fragment = contractInterface.getFunction(key);
+    } catch (error) {
+        // 无法解析的签名按不存在处理
+        fragment = null;
+    }
+    if (!fragment) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Function ${functionName} does not exist in contract ${contractName}`);
+    }
+    return fragment;
+}
+
+/**
+ * Coerce an integer argument
+ * @param {ethers.ParamType} paramType - The int or uint input type
+ * @param {any} value - A safe integer number, bigint, decimal string or 0x-prefixed hex string
+ * @returns {bigint} The integer
+ * @throws {TypeError} If the value is not an integer or out of range
+ */
+function coerceInteger(paramType, value) {
+    let integer;
+    const text = typeof value === 'string' ? value.trim() : null;
+    if (typeof value === 'bigint') {
+        integer = value;
+    } else if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+            throw new TypeError('expected an integer, pass integers above 2^53 as decimal strings');
+        }
+        integer = BigInt(value);
+    } else if (text !== null && (/^-?(0|[1-9][0-9]*)$/.test(text) || /^0x[0-9a-fA-F]+$/.test(text))) {
+        integer = BigInt(text);
+    } else {
+        throw new TypeError('expected a decimal or 0x-prefixed hex integer');
+    }
+
+    const [, unsigned, size] = /^(u?)int([0-9]*)$/.exec(paramType.type);
+    const bits = BigInt(size || 256);
+    const min = unsigned ? 0n : -(1n << (bits - 1n));
+    const max = unsigned ? (1n << bits) - 1n : (1n << (bits - 1n)) - 1n;
+    if (integer < min || integer > max) {
+        throw new TypeError(`out of range for ${paramType.type}`);
+    }
+    return integer;
+}
+
+/**
+ * Coerce a bool argument
+ * @param {any} value - true, false, "true", "false", 1, 0, "1" or "0"
+ * @returns {boolean} The boolean
+ * @throws {TypeError} If the value is not a boolean
+ */
+function coerceBoolean(value) {
+    const text = String(value).trim().toLowerCase();
+    if (typeof value !== 'object' && (text === 'true' || text === '1')) {
+        return true;
+    }
+    if (typeof value !== 'object' && (text === 'false' || text === '0')) {
+        return false;
+    }
+    throw new TypeError('expected true or false');
+}
+
+/**
+ * Parse a JSON array or object given as string for an array or tuple input
+ * @param {any} value - The argument
+ * @returns {any} The parsed value, or the value itself if it is not a JSON string
+ */
+function parseJsonArgument(value) {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new TypeError(`invalid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Coerce an argument to its ABI type, recording errors instead of stopping at the first one
+ * @param {ethers.ParamType} paramType - The input type
+ * @param {any} value - The argument
+ * @param {string} path - The name of the argument in errors, e.g. order.amounts[1]
+ * @param {Array<Object>} errors - Receives one { input, type, message } per invalid argument
+ * @returns {any} The coerced argument, undefined if it is invalid
+ */
+function coerceArgument(paramType, value, path, errors) {
+    try {
+        if (value === undefined || value === null) {
+            throw new TypeError('missing value');
+        }
+
+        if (paramType.baseType === 'array') {
+            const items = parseJsonArgument(value);
+            if (!Array.isArray(items)) {
+                throw new TypeError('expected an array');
+            }
+            if (paramType.arrayLength !== -1 && items.length !== paramType.arrayLength) {
+                throw new TypeError(`expected ${paramType.arrayLength} items, got ${items.length}`);
+            }
+            return items.map((item, index) => coerceArgument(paramType.arrayChildren, item, `${path}[${index}]`, errors));
+        }
+
+        if (paramType.baseType === 'tuple') {
+            const fields = parseJsonArgument(value);
+            const components = paramType.components;
+            if (Array.isArray(fields)) {
+                if (fields.length !== components.length) {
+                    throw new TypeError(`expected ${components.length} fields, got ${fields.length}`);
+                }
+                return components.map((component, index) => coerceArgument(component, fields[index], `${path}.${component.name || index}`, errors));
+            }
+            if (!fields || typeof fields !== 'object') {
+                throw new TypeError('expected an array or an object of the tuple fields');
+            }
+            const unknown = Object.keys(fields).filter(key => !components.some(component => component.name === key));
+            if (unknown.length > 0) {
+                throw new TypeError(`unknown fields: ${unknown.join(', ')}`);
+            }
+            return components.map((component, index) => coerceArgument(component, fields[component.name], `${path}.${component.name || index}`, errors));
+        }
+
+        if (paramType.type === 'address') {
+            if (typeof value !== 'string' || !ethers.isAddress(value.trim())) {
+                throw new TypeError('expected a 20-byte hex address with a valid checksum');
+            }
+            return ethers.getAddress(value.trim());
+        }
+        if (paramType.type === 'bool') {
+            return coerceBoolean(value);
+        }
+        if (/^u?int[0-9]*$/.test(paramType.type)) {
+            return coerceInteger(paramType, value);
+        }
+        if (paramType.type === 'string') {
+            if (typeof value !== 'string') {
+                throw new TypeError('expected a string');
+            }
+            return value;
+        }
+        if (paramType.type === 'bytes') {
+            if (!ethers.isHexString(value, true)) {
+                throw new TypeError('expected 0x-prefixed hex bytes');
+            }
+            return value.toLowerCase();
+        }
+        const fixedBytes = /^bytes([0-9]+)$/.exec(paramType.type);
+        if (fixedBytes) {
+            if (!ethers.isHexString(value, Number(fixedBytes[1]))) {
+                throw new TypeError(`expected 0x-prefixed hex of exactly ${fixedBytes[1]} bytes`);
+            }
+            return value.toLowerCase();
+        }
+        return value;
+    } catch (error) {
+        errors.push({ input: path, type: paramType.format('sighash'), message: error.message });
+        return undefined;
+    }
+}
+
+/**
+ * Validate and coerce the arguments of a function call against the function's ABI inputs
+ *
+ * Integers may be given as numbers, decimal or hex strings, addresses in any case (returned
+ * checksummed), booleans as true/false or 1/0, and arrays and tuples as JSON values or JSON
+ * strings; tuples also as objects keyed by field name.
+ *
+ * @param {ethers.FunctionFragment} fragment - The function
+ * @param {Array} params - The arguments
+ * @returns {Array} The coerced arguments, ready to be encoded
+ * @throws {ProxyError} If arguments are invalid, with one { input, type, message } per invalid argument as data.errors
+ */
+function coerceFunctionArgs(fragment, params) {
+    const signature = fragment.format('sighash');
+    if (!Array.isArray(params)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `params of ${signature} must be an array`);
+    }
+    if (params.length !== fragment.inputs.length) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${signature} expects ${fragment.inputs.length} params, got ${params.length}`);
+    }
+
+    const errors = [];
+    const args = fragment.inputs.map((input, index) => coerceArgument(input, params[index], input.name || `params[${index}]`, errors));
+    if (errors.length > 0) {
+        throw new ProxyError(
+            ERROR_CODES.INVALID_PARAMS,
+            `Invalid params for ${signature}: ${errors.map(error => `${error.input} (${error.type}): ${error.message}`).join('; ')}`,
+            { errors: errors }
+        );
+    }
+    return args;
+}
+
+/**
+ * Validate the requested number format of decoded results
+ * @param {string} numberFormat - "decimal" or "hex", decimal if not given
+ * @returns {string} The number format
+ * @throws {ProxyError} If the format is not supported
+ */
+function resolveNumberFormat(numberFormat) {
+    if (numberFormat === undefined || numberFormat === null) {
+        return 'decimal';
+    }
+    if (!NUMBER_FORMATS.includes(numberFormat)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `numberFormat must be one of: ${NUMBER_FORMATS.join(', ')}`);
+    }
+    return numberFormat;
+}
+
+/**
+ * Format a decoded integer
+ * @param {bigint} value - The integer
+ * @param {string} numberFormat - "decimal" or "hex"
+ * @returns {string} The decimal string, or the 0x-prefixed hex quantity (negative values prefixed with -)
+ */
+function formatResultNumber(value, numberFormat) {
+    if (numberFormat !== 'hex') {
+        return value.toString();
+    }
+    return value < 0n ? `-${ethers.toQuantity(-value)}` : ethers.toQuantity(value);
+}
+
+/**
+ * Shape a decoded value after its ABI type
+ * @param {ethers.ParamType} paramType - The output type
+ * @param {any} value - The decoded value
+ * @param {string} numberFormat - "decimal" or "hex"
+ * @returns {any} The JSON friendly value
+ */
+function formatResultValue(paramType, value, numberFormat) {
+    if (paramType.baseType === 'array') {
+        return Array.from(value, item => formatResultValue(paramType.arrayChildren, item, numberFormat));
+    }
+    if (paramType.baseType === 'tuple') {
+        return formatResultValues(paramType.components, value, numberFormat);
+    }
+    if (typeof value === 'bigint') {
+        return formatResultNumber(value, numberFormat);
+    }
+    return value;
+}
+
+/**
+ * Shape decoded values after a list of ABI types
+ *
+ * Values are keyed by name, unnamed values by their position; a list without any name (e.g.
+ * returns (uint112, uint112, uint32)) is returned as an array.
+ *
+ * @param {Array<ethers.ParamType>} paramTypes - The types, e.g. the components of a tuple
+ * @param {ethers.Result|Array} values - The decoded values
+ * @param {string} numberFormat - "decimal" or "hex"
+ * @returns {Object|Array} The values keyed by name, or an array
+ */
+function formatResultValues(paramTypes, values, numberFormat) {
+    const formatted = paramTypes.map((paramType, index) => formatResultValue(paramType, values[index], numberFormat));
+    if (paramTypes.every(paramType => !paramType.name)) {
+        return formatted;
+    }
+
+    const named = {};
+    paramTypes.forEach((paramType, index) => {
+        named[paramType.name || String(index)] = formatted[index];
+    });
+    return named;
+}
+
+/**
+ * Shape the decoded result of a function call after the function's ABI outputs
+ *
+ * A single output is returned as its value, several outputs as an object keyed by output
+ * name. Structs become objects keyed by field name, arrays stay arrays, and integers are
+ * returned as decimal strings or hex quantities.
+ *
+ * @param {ethers.FunctionFragment} fragment - The function
+ * @param {ethers.Result} result - The decoded result
+ * @param {string} numberFormat - "decimal" (default) or "hex"
+ * @returns {any} The JSON friendly result, null for functions without outputs
+ */
+function formatFunctionResult(fragment, result, numberFormat = 'decimal') {
+    if (fragment.outputs.length === 0) {
+        return null;
+    }
+    if (fragment.outputs.length === 1) {
+        return formatResultValue(fragment.outputs[0], result[0], numberFormat);
+    }
+    return formatResultValues(fragment.outputs, result, numberFormat);
+}
+
+/**
+ * Get the return type signature of a function, e.g. (uint256,(address,uint256)[])
+ * @param {ethers.FunctionFragment} fragment - The function
+ * @returns {string} The output types
+ */
+function getReturnType(fragment) {
+    return `(${fragment.outputs.map(output => output.format('sighash')).join(',')})`;
+}
+
+export {
+    NUMBER_FORMATS,
+    findContractFunction,
+    coerceFunctionArgs,
+    resolveNumberFormat,
+    formatFunctionResult,
+    getReturnType
+};
\ No newline at end of file
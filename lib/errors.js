@@ -0,0 +1,308 @@
+/**
+ * Error Taxonomy
+ *
+ * Every error raised while serving a request is classified into one of a fixed set of error
+ * codes. The code decides the HTTP status and JSON-RPC error code returned to the caller and
+ * whether the request is retried on another node. Errors raised by the proxy carry their code
+ * (ProxyError), errors from nodes, axios and ethers are classified by their JSON-RPC code,
+ * HTTP status or ethers error code.
+ */
+
+import { JSONRPC_ERRORS, JsonRpcError } from './jsonRpc';
+
+// Stable error codes returned to API clients in the "code" field of error responses
+const ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    INVALID_PARAMS: 'INVALID_PARAMS',
+    METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
+    METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    UNSUPPORTED_CHAIN: 'UNSUPPORTED_CHAIN',
+    UNSUPPORTED_CONTRACT: 'UNSUPPORTED_CONTRACT',
+    NOT_FOUND: 'NOT_FOUND',
+    EXECUTION_REVERTED: 'EXECUTION_REVERTED',
+    REQUEST_REJECTED: 'REQUEST_REJECTED',
+    LIMIT_EXCEEDED: 'LIMIT_EXCEEDED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    UPSTREAM_BAD_RESPONSE: 'UPSTREAM_BAD_RESPONSE',
+    STATE_UNAVAILABLE: 'STATE_UNAVAILABLE',
+    NO_AVAILABLE_NODES: 'NO_AVAILABLE_NODES',
+    QUORUM_FAILED: 'QUORUM_FAILED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// HTTP status, JSON-RPC error code and retry policy of each error code
+// retryable: the request may succeed on another node
+const ERROR_TYPES = {
+    [ERROR_CODES.INVALID_REQUEST]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.INVALID_REQUEST, retryable: false },
+    [ERROR_CODES.INVALID_PARAMS]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.INVALID_PARAMS, retryable: false },
+    [ERROR_CODES.METHOD_NOT_FOUND]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.METHOD_NOT_FOUND, retryable: false },
+    [ERROR_CODES.METHOD_NOT_ALLOWED]: { httpStatus: 405, rpcCode: JSONRPC_ERRORS.INVALID_REQUEST, retryable: false },
+    [ERROR_CODES.UNAUTHORIZED]: { httpStatus: 401, rpcCode: JSONRPC_ERRORS.INVALID_REQUEST, retryable: false },
+    [ERROR_CODES.FORBIDDEN]: { httpStatus: 403, rpcCode: JSONRPC_ERRORS.INVALID_REQUEST, retryable: false },
+    [ERROR_CODES.UNSUPPORTED_CHAIN]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: false },
+    [ERROR_CODES.UNSUPPORTED_CONTRACT]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.INVALID_PARAMS, retryable: false },
+    [ERROR_CODES.NOT_FOUND]: { httpStatus: 404, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: false },
+    [ERROR_CODES.EXECUTION_REVERTED]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.EXECUTION_REVERTED, retryable: false },
+    [ERROR_CODES.REQUEST_REJECTED]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: false },
+    [ERROR_CODES.LIMIT_EXCEEDED]: { httpStatus: 400, rpcCode: JSONRPC_ERRORS.LIMIT_EXCEEDED, retryable: false },
+    [ERROR_CODES.RATE_LIMITED]: { httpStatus: 429, rpcCode: JSONRPC_ERRORS.LIMIT_EXCEEDED, retryable: true },
+    [ERROR_CODES.UPSTREAM_TIMEOUT]: { httpStatus: 504, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: true },
+    [ERROR_CODES.UPSTREAM_UNAVAILABLE]: { httpStatus: 502, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: true },
+    [ERROR_CODES.UPSTREAM_BAD_RESPONSE]: { httpStatus: 502, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: true },
+    [ERROR_CODES.STATE_UNAVAILABLE]: { httpStatus: 502, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: true },
+    [ERROR_CODES.NO_AVAILABLE_NODES]: { httpStatus: 503, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: false },
+    [ERROR_CODES.QUORUM_FAILED]: { httpStatus: 502, rpcCode: JSONRPC_ERRORS.SERVER_ERROR, retryable: false },
+    [ERROR_CODES.INTERNAL_ERROR]: { httpStatus: 500, rpcCode: JSONRPC_ERRORS.INTERNAL_ERROR, retryable: false }
+};
+
+// HTTP statuses with which nodes signal rate limiting or exhausted quota
+const RATE_LIMIT_STATUSES = [402, 406, 429];
+
+// Server error messages (JSON-RPC -32000 range) carry no structured reason, these are
+// the only message checks left and apply to errors returned by nodes only
+const RATE_LIMIT_PATTERN = /cu limit exceeded|limit exceeded|traffic is too high|rate limit|too many requests|exceeded .*capacity/i;
+const TIMEOUT_PATTERN = /timeout|timed out/i;
+const REVERT_PATTERN = /revert/i;
+const MISSING_STATE_PATTERN = /missing trie node|state (is )?not available|historical state|state histor(y|ies)|pruned/i;
+
+// System error codes of failed connections (axios and Node.js sockets)
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_NETWORK', 'ERR_BAD_RESPONSE'];
+
+// ethers v6 error codes that describe a problem with the request itself
+const ETHERS_REQUEST_ERRORS = {
+    INVALID_ARGUMENT: ERROR_CODES.INVALID_PARAMS,
+    MISSING_ARGUMENT: ERROR_CODES.INVALID_PARAMS,
+    UNEXPECTED_ARGUMENT: ERROR_CODES.INVALID_PARAMS,
+    NUMERIC_FAULT: ERROR_CODES.INVALID_PARAMS,
+    VALUE_MISMATCH: ERROR_CODES.INVALID_PARAMS,
+    BUFFER_OVERRUN: ERROR_CODES.INVALID_PARAMS,
+    CALL_EXCEPTION: ERROR_CODES.EXECUTION_REVERTED,
+    INSUFFICIENT_FUNDS: ERROR_CODES.REQUEST_REJECTED,
+    NONCE_EXPIRED: ERROR_CODES.REQUEST_REJECTED,
+    REPLACEMENT_UNDERPRICED: ERROR_CODES.REQUEST_REJECTED,
+    TRANSACTION_REPLACED: ERROR_CODES.REQUEST_REJECTED,
+    ACTION_REJECTED: ERROR_CODES.REQUEST_REJECTED
+};
+
+/**
+ * Error raised by the proxy, carrying a stable error code
+ *
+ * Extends JsonRpcError so it can be returned as a JSON-RPC error object unchanged, with the
+ * JSON-RPC code of its error type.
+ */
+class ProxyError extends JsonRpcError {
+    /**
+     * @param {string} errorCode - One of ERROR_CODES
+     * @param {string} message - The error message
+     * @param {any} data - Optional additional error data
+     */
+    constructor(errorCode, message, data) {
+        super(ERROR_TYPES[errorCode].rpcCode, message, data);
+        this.name = 'ProxyError';
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Classify a JSON-RPC error returned by a node
+ * @param {number} code - The JSON-RPC error code
+ * @param {string} message - The error message
+ * @returns {string} One of ERROR_CODES
+ */
+function classifyNodeError(code, message) {
+    switch (code) {
+        case JSONRPC_ERRORS.PARSE_ERROR:
+        case JSONRPC_ERRORS.INVALID_REQUEST:
+            return ERROR_CODES.INVALID_REQUEST;
+        case JSONRPC_ERRORS.METHOD_NOT_FOUND:
+            return ERROR_CODES.METHOD_NOT_FOUND;
+        case JSONRPC_ERRORS.INVALID_PARAMS:
+            return ERROR_CODES.INVALID_PARAMS;
+        case JSONRPC_ERRORS.EXECUTION_REVERTED:
+            return ERROR_CODES.EXECUTION_REVERTED;
+        case JSONRPC_ERRORS.LIMIT_EXCEEDED:
+            return ERROR_CODES.RATE_LIMITED;
+    }
+
+    // 服务端错误码没有统一含义，只能根据错误信息区分
+    const text = message || '';
+    if (RATE_LIMIT_PATTERN.test(text)) {
+        return ERROR_CODES.RATE_LIMITED;
+    }
+    if (TIMEOUT_PATTERN.test(text)) {
+        return ERROR_CODES.UPSTREAM_TIMEOUT;
+    }
+    if (MISSING_STATE_PATTERN.test(text)) {
+        return ERROR_CODES.STATE_UNAVAILABLE;
+    }
+    if (REVERT_PATTERN.test(text)) {
+        return ERROR_CODES.EXECUTION_REVERTED;
+    }
+    if (code === JSONRPC_ERRORS.INTERNAL_ERROR) {
+        return ERROR_CODES.UPSTREAM_UNAVAILABLE;
+    }
+    return ERROR_CODES.REQUEST_REJECTED;
+}
+
+/**
+ * Classify the HTTP status of a failed node response
+ * @param {number} status - The HTTP status
+ * @returns {string} One of ERROR_CODES
+ */
+function classifyHttpStatus(status) {
+    if (RATE_LIMIT_STATUSES.includes(status)) {
+        return ERROR_CODES.RATE_LIMITED;
+    }
+    if (status === 408 || status === 504) {
+        return ERROR_CODES.UPSTREAM_TIMEOUT;
+    }
+    return ERROR_CODES.UPSTREAM_UNAVAILABLE;
+}
+
+/**
+ * Get the JSON-RPC error object a node returned, from an ethers error
+ * @param {Error} error - The ethers error
+ * @returns {Object|null} { code, message } of the node error, or null if there is none
+ */
+function getEthersNodeError(error) {
+    const candidates = [error.error, error.info && error.info.error];
+    return candidates.find(candidate => candidate && Number.isInteger(candidate.code)) || null;
+}
+
+/**
+ * Classify an ethers v6 error
+ * @param {Error} error - The ethers error, identified by its string code
+ * @returns {string} One of ERROR_CODES
+ */
+function classifyEthersError(error) {
+    // ethers reports every failed eth_call as CALL_EXCEPTION, including nodes lacking the state
+    const nodeError = getEthersNodeError(error);
+    if (nodeError && MISSING_STATE_PATTERN.test(nodeError.message || '')) {
+        return ERROR_CODES.STATE_UNAVAILABLE;
+    }
+    if (ETHERS_REQUEST_ERRORS[error.code]) {
+        return ETHERS_REQUEST_ERRORS[error.code];
+    }
+
+    switch (error.code) {
+        case 'TIMEOUT':
+            return ERROR_CODES.UPSTREAM_TIMEOUT;
+        case 'NETWORK_ERROR':
+            return ERROR_CODES.UPSTREAM_UNAVAILABLE;
+        case 'BAD_DATA':
+            return ERROR_CODES.UPSTREAM_BAD_RESPONSE;
+        case 'SERVER_ERROR': {
+            // responseStatus looks like "429 Too Many Requests"
+            const status = error.info && parseInt(error.info.responseStatus, 10);
+            return Number.isInteger(status) ? classifyHttpStatus(status) : ERROR_CODES.UPSTREAM_UNAVAILABLE;
+        }
+    }
+
+    // UNKNOWN_ERROR and UNSUPPORTED_OPERATION wrap the error object returned by the node
+    if (nodeError) {
+        return classifyNodeError(nodeError.code, nodeError.message);
+    }
+    return error.code === 'UNSUPPORTED_OPERATION' ? ERROR_CODES.METHOD_NOT_FOUND : ERROR_CODES.INTERNAL_ERROR;
+}
+
+/**
+ * Classify any error raised while serving a request
+ *
+ * Classification relies on structured signals: the code of a ProxyError, the JSON-RPC code
+ * of a node error, the HTTP status or system error code of a failed connection and the
+ * ethers error code. Unrecognized errors are internal errors.
+ *
+ * @param {Error} error - The error to classify
+ * @returns {string} One of ERROR_CODES
+ */
+function classifyError(error) {
+    if (!error) {
+        return ERROR_CODES.INTERNAL_ERROR;
+    }
+    if (error instanceof ProxyError) {
+        return error.errorCode;
+    }
+    if (error instanceof JsonRpcError) {
+        return classifyNodeError(error.code, error.message);
+    }
+
+    if (typeof error.code === 'string') {
+        if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+            return ERROR_CODES.UPSTREAM_TIMEOUT;
+        }
+        if (CONNECTION_ERROR_CODES.includes(error.code)) {
+            return ERROR_CODES.UPSTREAM_UNAVAILABLE;
+        }
+    }
+    if (error.isAxiosError) {
+        return error.response ? classifyHttpStatus(error.response.status) : ERROR_CODES.UPSTREAM_UNAVAILABLE;
+    }
+    if (typeof error.code === 'string' && typeof error.shortMessage === 'string') {
+        return classifyEthersError(error);
+    }
+    return ERROR_CODES.INTERNAL_ERROR;
+}
+
+/**
+ * Check whether a failed request should be retried on another node
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the error is retryable
+ */
+function isRetryableError(error) {
+    return ERROR_TYPES[classifyError(error)].retryable;
+}
+
+/**
+ * Get the HTTP status for an error response
+ * @param {Error} error - The error
+ * @returns {number} The HTTP status of the error's classification
+ */
+function getHttpStatus(error) {
+    return ERROR_TYPES[classifyError(error)].httpStatus;
+}
+
+/**
+ * Convert an error to a JSON-RPC error for a JSON-RPC error response
+ *
+ * JSON-RPC errors (raised by the proxy or returned by a node) are passed back unchanged,
+ * other errors get the JSON-RPC code of their classification.
+ *
+ * @param {Error} error - The error
+ * @returns {JsonRpcError} The error to report
+ */
+function toJsonRpcError(error) {
+    if (error instanceof JsonRpcError) {
+        return error;
+    }
+    return new ProxyError(classifyError(error), (error && error.message) || 'Server error');
+}
+
+/**
+ * Create the JSON body of an API error response
+ * @param {Error} error - The error
+ * @returns {Object} { success: false, error, code }
+ */
+function createErrorBody(error) {
+    return {
+        success: false,
+        error: (error && error.message) || 'Internal server error',
+        code: classifyError(error)
+    };
+}
+
+export {
+    ERROR_CODES,
+    ERROR_TYPES,
+    ProxyError,
+    classifyError,
+    classifyHttpStatus,
+    isRetryableError,
+    getHttpStatus,
+    toJsonRpcError,
+    createErrorBody
+};
\ No newline at end of file
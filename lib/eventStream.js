@@ -0,0 +1,281 @@
+/**
+ * Chain Event Stream
+ *
+ * This module follows the head of a chain by polling through the RPC handler and produces
+ * new block and log events for the Server-Sent Events endpoint. Polls go through the regular
+ * node selection, request coalescing and response cache, so many streams on the same chain
+ * cost little more upstream than one. Logs of contracts tagged with a contract name, or
+ * bound to an ABI in the ABI registry, are decoded.
+ */
+
+import { ethers } from 'ethers';
+import { getChainConfig, forwardRpcRequest, formatEventArgs } from './rpcHandler';
+import { loadAbiRegistry, getContractAbi, getBoundContractName } from './abiRegistry';
+import { getChainCacheConfig } from './rpcCache';
+import { ERROR_CODES, ProxyError, classifyError } from './errors';
+
+const STREAM_EVENTS = ['blocks', 'logs'];
+
+// Polling never runs faster than this, whatever the chain's block time
+const MIN_POLL_INTERVAL_MS = 1000;
+
+// Maximum number of blocks read per poll while catching up
+const MAX_BLOCKS_PER_POLL = 50;
+
+// Maximum number of past blocks replayed when a stream resumes from a Last-Event-ID
+const MAX_RESUME_BLOCKS = 500;
+
+// Streams end after this duration, clients reconnect and resume from their last event id
+const STREAM_DURATION_MS = 5 * 60 * 1000;
+
+/**
+ * Split a query parameter into its comma separated values
+ * @param {string|Array<string>|undefined} value - The query parameter
+ * @returns {Array<string>} The trimmed, non-empty values
+ */
+function splitQueryList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return [].concat(value).join(',').split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parse the event types and log filter of a stream request
+ *
+ * - events: comma separated event types, "blocks" and/or "logs" (default: blocks)
+ * - address: comma separated contract addresses, each optionally tagged with a contract
+ *   name (abi.json or ABI registry) to decode its logs, e.g. 0xdAC1...1ec7:token. Untagged
+ *   addresses bound to an ABI in the ABI registry are decoded with that ABI
+ * - topics: comma separated topic positions, alternatives within a position separated by
+ *   "|" and an empty position matching anything, e.g. 0xddf2...b3ef,,0x0000...aa
+ *
+ * @param {Object} query - The request query parameters
+ * @param {number} chainId - The chain ID of the stream
+ * @returns {Promise<Object>} { events, addresses: [{ address, contractName, abi }], topics }
+ * @throws {ProxyError} If a parameter is invalid or a contract name is unknown
+ */
+async function parseStreamQuery(query, chainId) {
+    const events = splitQueryList(query.events);
+    if (events.length === 0) {
+        events.push('blocks');
+    }
+    for (const event of events) {
+        if (!STREAM_EVENTS.includes(event)) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Unsupported event type: ${event}`);
+        }
+    }
+
+    await loadAbiRegistry();
+    const addresses = splitQueryList(query.address).map(entry => {
+        const [address, tag] = entry.split(':');
+        if (!ethers.isAddress(address)) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid address: ${address}`);
+        }
+        const contractName = tag || getBoundContractName(chainId, address);
+        const abi = contractName ? getContractAbi(contractName) : null;
+        if (contractName && !abi) {
+            throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `Unsupported contract: ${contractName}`);
+        }
+        return { address: ethers.getAddress(address), contractName: contractName || null, abi: abi };
+    });
+
+    const topics = query.topics === undefined ? [] : [].concat(query.topics).join(',').split(',').map(position => {
+        const alternatives = position.split('|').map(topic => topic.trim()).filter(topic => topic.length > 0);
+        for (const topic of alternatives) {
+            if (!ethers.isHexString(topic, 32)) {
+                throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid topic: ${topic}`);
+            }
+        }
+        if (alternatives.length === 0) {
+            return null;
+        }
+        return alternatives.length === 1 ? alternatives[0] : alternatives;
+    });
+
+    // 不带过滤条件的日志订阅会拉取整条链的全部日志
+    if (events.includes('logs') && addresses.length === 0 && !topics.some(topic => topic !== null)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'logs events require an address or topics filter');
+    }
+
+    return { events, addresses, topics };
+}
+
+/**
+ * Create a function decoding the logs of the tagged contracts
+ * @param {Array<Object>} addresses - The addresses of the stream, with optional contract names and ABIs
+ * @returns {Function} Function (log) returning { contract, event, signature, args } or null
+ */
+function createLogDecoder(addresses) {
+    const contracts = new Map();
+    for (const { address, contractName, abi } of addresses) {
+        if (abi) {
+            contracts.set(address.toLowerCase(), {
+                contractName: contractName,
+                contractInterface: new ethers.Interface(abi)
+            });
+        }
+    }
+
+    return log => {
+        const contract = contracts.get(log.address.toLowerCase());
+        if (!contract) {
+            return null;
+        }
+        try {
+            const parsed = contract.contractInterface.parseLog({ topics: log.topics, data: log.data });
+            if (!parsed) {
+                return null;
+            }
+            return {
+                contract: contract.contractName,
+                event: parsed.name,
+                signature: parsed.signature,
+                args: formatEventArgs(parsed.fragment, parsed.args)
+            };
+        } catch (error) {
+            // 无法用 ABI 解码的日志按原样返回
+            return null;
+        }
+    };
+}
+
+/**
+ * Format a block for a block event
+ * @param {Object} block - The block as returned by eth_getBlockByNumber
+ * @returns {Object} The block event data
+ */
+function formatBlock(block) {
+    return {
+        number: Number(block.number),
+        hash: block.hash,
+        parentHash: block.parentHash,
+        timestamp: Number(block.timestamp),
+        miner: block.miner,
+        gasUsed: BigInt(block.gasUsed).toString(),
+        gasLimit: BigInt(block.gasLimit).toString(),
+        baseFeePerGas: block.baseFeePerGas ? BigInt(block.baseFeePerGas).toString() : null,
+        transactionCount: block.transactions.length
+    };
+}
+
+/**
+ * Format a log for a log event
+ * @param {Object} log - The log as returned by eth_getLogs
+ * @param {Object|null} decoded - The decoded event, if the contract is tagged
+ * @returns {Object} The log event data
+ */
+function formatLog(log, decoded) {
+    return {
+        address: log.address,
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        transactionIndex: Number(log.transactionIndex),
+        logIndex: Number(log.logIndex),
+        topics: log.topics,
+        data: log.data,
+        removed: !!log.removed,
+        decoded: decoded
+    };
+}
+
+/**
+ * Wait before the next poll
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Stream new blocks and matching logs of a chain until the client disconnects or the stream
+ * duration is reached
+ *
+ * Events are emitted in block order, logs of a block before the block itself. The last event
+ * of every block carries the block number as event id, so a client resuming from its last
+ * event id continues with the next block. Without a last event id the stream starts at the
+ * current head block. Errors while polling are reported as rpc-error events and polling
+ * continues.
+ *
+ * @param {number} chainId - The chain ID
+ * @param {Object} subscription - The parsed stream query (see parseStreamQuery)
+ * @param {number|null} lastEventId - The last block number the client received
+ * @param {Function} emit - Function (event, data, id) writing one event to the client
+ * @param {Function} isClosed - Function returning true once the client disconnected
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function streamChainEvents(chainId, subscription, lastEventId, emit, isClosed) {
+    const chain = getChainConfig(chainId);
+    const pollIntervalMs = Math.max(getChainCacheConfig(chain).blockTime * 1000, MIN_POLL_INTERVAL_MS);
+    const deadline = Date.now() + STREAM_DURATION_MS;
+    const wantBlocks = subscription.events.includes('blocks');
+    const wantLogs = subscription.events.includes('logs');
+    const decodeLog = createLogDecoder(subscription.addresses);
+    const call = (method, params) => forwardRpcRequest({ method: method, params: params }, chainId);
+
+    let head = null;
+    let nextBlock = null;
+
+    while (!isClosed() && Date.now() < deadline) {
+        try {
+            if (head === null || nextBlock > head) {
+                head = Number(await call('eth_blockNumber', []));
+                if (nextBlock === null) {
+                    nextBlock = lastEventId === null ? head : Math.max(lastEventId + 1, head - MAX_RESUME_BLOCKS + 1);
+                }
+                if (nextBlock > head) {
+                    await sleep(pollIntervalMs);
+                    continue;
+                }
+            }
+
+            const toBlock = Math.min(head, nextBlock + MAX_BLOCKS_PER_POLL - 1);
+            const blockNumbers = [];
+            for (let number = nextBlock; number <= toBlock; number++) {
+                blockNumbers.push(number);
+            }
+
+            const [logs, blocks] = await Promise.all([
+                wantLogs ? call('eth_getLogs', [{
+                    fromBlock: ethers.toQuantity(nextBlock),
+                    toBlock: ethers.toQuantity(toBlock),
+                    address: subscription.addresses.length > 0 ? subscription.addresses.map(entry => entry.address) : undefined,
+                    topics: subscription.topics.length > 0 ? subscription.topics : undefined
+                }]) : [],
+                wantBlocks ? Promise.all(blockNumbers.map(number => call('eth_getBlockByNumber', [ethers.toQuantity(number), false]))) : []
+            ]);
+
+            for (let i = 0; i < blockNumbers.length && !isClosed(); i++) {
+                const number = blockNumbers[i];
+                if (wantBlocks && !blocks[i]) {
+                    // 节点尚未同步到该区块，下次轮询再读取
+                    break;
+                }
+
+                const events = logs
+                    .filter(log => Number(log.blockNumber) === number)
+                    .map(log => ['log', formatLog(log, decodeLog(log))]);
+                if (wantBlocks) {
+                    events.push(['block', formatBlock(blocks[i])]);
+                }
+                events.forEach(([event, data], index) => {
+                    emit(event, data, index === events.length - 1 ? number : undefined);
+                });
+                nextBlock = number + 1;
+            }
+        } catch (error) {
+            console.error(`Event stream error on chain ${chainId}:`, error.message);
+            emit('rpc-error', { error: error.message, code: classifyError(error) });
+            await sleep(pollIntervalMs);
+        }
+    }
+}
+
+export {
+    STREAM_EVENTS,
+    STREAM_DURATION_MS,
+    parseStreamQuery,
+    streamChainEvents
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Inline ABIs
+ *
+ * Contract calls may bring their own ABI instead of naming a configured contract: a JSON ABI
+ * fragment, an array of fragments or a human-readable signature such as
+ * "function getReserves() view returns (uint112,uint112,uint32)".
+ *
+ * An inline ABI is validated once and cached under a name derived from the selector of its
+ * function, e.g. inline:0x0902f1ac-1a2b3c4d. The suffix is a hash of the stored fragments, so
+ * two ABIs sharing a selector but declaring different outputs never overwrite each other.
+ * The name is then used like a contract name by the contract call path.
+ */
+
+import { ethers } from 'ethers';
+import { validateAbi } from './abiRegistry';
+import { findContractFunction } from './contractAbi';
+import { ERROR_CODES, ProxyError } from './errors';
+
+// Prefix of the contract names of inline ABIs
+const INLINE_ABI_PREFIX = 'inline:';
+
+// Maximum number of inline ABIs kept, the least recently used are removed first
+const MAX_INLINE_ABIS = 1000;
+
+// Inline ABIs by name: name -> { abi, fragment }
+const inlineAbis = new Map();
+
+// Names of inline ABIs by request input, so repeated calls skip parsing
+const inlineAbiNames = new Map();
+
+/**
+ * Store an entry in one of the LRU maps
+ * @param {Map} map - The map
+ * @param {string} key - The key
+ * @param {any} value - The value
+ */
+function setRecent(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_INLINE_ABIS) {
+        map.delete(map.keys().next().value);
+    }
+}
+
+/**
+ * Get the input key of an inline ABI
+ * @param {any} abi - The inline ABI
+ * @param {string} functionName - The requested function, if any
+ * @returns {string} The key
+ */
+function getInputKey(abi, functionName) {
+    return `${functionName || ''}|${typeof abi === 'string' ? abi : JSON.stringify(abi)}`;
+}
+
+/**
+ * Parse an inline ABI into ABI items
+ * @param {any} abi - A JSON ABI fragment, an array of fragments, a JSON string or a human-readable signature
+ * @returns {Array<Object>} The ABI items in JSON format
+ * @throws {ProxyError} If the ABI is invalid
+ */
+function parseInlineAbi(abi) {
+    let value = abi;
+    if (typeof abi === 'string') {
+        const text = abi.trim();
+        if (!text.startsWith('[') && !text.startsWith('{')) {
+            return validateAbi([text]);
+        }
+        try {
+            value = JSON.parse(text);
+        } catch (error) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid ABI: ${error.message}`);
+        }
+    }
+    if (!value || typeof value !== 'object') {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'abi must be a JSON ABI fragment, an array of fragments or a human-readable signature');
+    }
+    return validateAbi(Array.isArray(value) ? value : [value]);
+}
+
+/**
+ * Validate an inline ABI and cache it
+ *
+ * The cached ABI holds the selected function and the custom errors of the inline ABI, which
+ * are used to decode reverts.
+ *
+ * @param {any} abi - A JSON ABI fragment, an array of fragments, a JSON string or a human-readable signature
+ * @param {string} functionName - The name, signature or selector of the function to call, optional if the ABI has a single function
+ * @returns {Object} { contractName, functionName, signature } where contractName is the name of the cached ABI
+ * @throws {ProxyError} If the ABI is invalid or the function cannot be selected
+ */
+function resolveInlineAbi(abi, functionName) {
+    const inputKey = getInputKey(abi, functionName);
+    const cachedName = inlineAbiNames.get(inputKey);
+    if (cachedName && inlineAbis.has(cachedName)) {
+        const entry = inlineAbis.get(cachedName);
+        setRecent(inlineAbis, cachedName, entry);
+        return { contractName: cachedName, functionName: entry.fragment.name, signature: entry.fragment.format('full') };
+    }
+
+    const items = parseInlineAbi(abi);
+    const contractInterface = new ethers.Interface(items);
+    const functions = contractInterface.fragments.filter(fragment => fragment.type === 'function');
+
+    let fragment;
+    if (functionName) {
+        fragment = findContractFunction(contractInterface, functionName, 'inline ABI');
+    } else if (functions.length === 1) {
+        fragment = functions[0];
+    } else {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, functions.length === 0
+            ? 'The inline ABI has no function'
+            : 'functionName is required when the inline ABI has several functions');
+    }
+
+    // 只保留所选函数和自定义错误，用于解码返回值和回滚原因
+    const storedAbi = [fragment, ...contractInterface.fragments.filter(item => item.type === 'error')]
+        .map(item => JSON.parse(item.format('json')));
+    const hash = ethers.id(JSON.stringify(storedAbi)).slice(2, 10);
+    const contractName = `${INLINE_ABI_PREFIX}${fragment.selector}-${hash}`;
+
+    setRecent(inlineAbis, contractName, { abi: storedAbi, fragment: fragment });
+    setRecent(inlineAbiNames, inputKey, contractName);
+    return { contractName: contractName, functionName: fragment.name, signature: fragment.format('full') };
+}
+
+/**
+ * Check whether a contract name refers to an inline ABI
+ * @param {string} contractName - The contract name
+ * @returns {boolean} True for inline ABI names
+ */
+function isInlineAbiName(contractName) {
+    return typeof contractName === 'string' && contractName.startsWith(INLINE_ABI_PREFIX);
+}
+
+/**
+ * Get a cached inline ABI
+ * @param {string} contractName - The name of the inline ABI
+ * @returns {Array<Object>|null} The ABI, or null if it is not cached
+ */
+function getInlineAbi(contractName) {
+    const entry = inlineAbis.get(contractName);
+    return entry ? entry.abi : null;
+}
+
+export {
+    INLINE_ABI_PREFIX,
+    MAX_INLINE_ABIS,
+    resolveInlineAbi,
+    isInlineAbiName,
+    getInlineAbi
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * JSON-RPC 2.0 Utilities
+ *
+ * Helpers for reading, validating and formatting JSON-RPC 2.0 messages, so the proxy
+ * can be used directly as an RPC endpoint by ethers, viem, MetaMask or Foundry.
+ */
+
+const JSONRPC_VERSION = '2.0';
+
+// Standard JSON-RPC 2.0 error codes
+const JSONRPC_ERRORS = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    SERVER_ERROR: -32000,
+    // Used by nodes for reverted calls, with the revert data as error data
+    EXECUTION_REVERTED: 3,
+    // EIP-1474: the request exceeds a limit of the server
+    LIMIT_EXCEEDED: -32005
+};
+
+/**
+ * Error carrying a JSON-RPC error code and optional data
+ *
+ * Used both for errors raised by the proxy itself and for errors returned by upstream nodes,
+ * so that they can be passed back to the caller unchanged.
+ */
+class JsonRpcError extends Error {
+    /**
+     * @param {number} code - The JSON-RPC error code
+     * @param {string} message - The error message
+     * @param {any} data - Optional additional error data
+     */
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'JsonRpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Read and parse the raw JSON body of an HTTP request
+ * @param {Object} req - The HTTP request object (body parser disabled)
+ * @returns {Promise<any>} The parsed JSON body
+ * @throws {JsonRpcError} If the body is not valid JSON
+ */
+async function readJsonRpcBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new JsonRpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error');
+    }
+}
+
+/**
+ * Validate a single JSON-RPC 2.0 request object
+ * @param {any} request - The request object to validate
+ * @throws {JsonRpcError} If the request is not a valid JSON-RPC 2.0 request
+ */
+function validateJsonRpcRequest(request) {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    if (request.jsonrpc !== JSONRPC_VERSION) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request', 'jsonrpc must be exactly "2.0"');
+    }
+
+    if (typeof request.method !== 'string' || request.method.length === 0) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request', 'method must be a non-empty string');
+    }
+
+    if (request.params !== undefined && (request.params === null || typeof request.params !== 'object')) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request', 'params must be an array or an object');
+    }
+
+    const idType = typeof request.id;
+    if (request.id !== undefined && request.id !== null && idType !== 'string' && idType !== 'number') {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request', 'id must be a string, a number or null');
+    }
+}
+
+/**
+ * Check whether a request is a notification (a request without an id)
+ * @param {Object} request - The JSON-RPC request object
+ * @returns {boolean} True if the caller does not expect a response
+ */
+function isNotification(request) {
+    return !!request && typeof request === 'object' && !('id' in request);
+}
+
+/**
+ * Get the id to echo back for a request, falling back to null when it cannot be determined
+ * @param {any} request - The JSON-RPC request object
+ * @returns {string|number|null} The request id
+ */
+function getRequestId(request) {
+    if (!request || typeof request !== 'object') {
+        return null;
+    }
+    const id = request.id;
+    return typeof id === 'string' || typeof id === 'number' ? id : null;
+}
+
+/**
+ * Build a JSON-RPC 2.0 success response
+ * @param {string|number|null} id - The id of the originating request
+ * @param {any} result - The result of the call
+ * @returns {Object} The response object
+ */
+function createResultResponse(id, result) {
+    return {
+        jsonrpc: JSONRPC_VERSION,
+        id: id,
+        result: result === undefined ? null : result
+    };
+}
+
+/**
+ * Build a JSON-RPC 2.0 error response
+ *
+ * Errors that already carry a JSON-RPC code (including upstream node errors) are passed through,
+ * anything else is reported as a generic server error.
+ *
+ * @param {string|number|null} id - The id of the originating request
+ * @param {Error} error - The error to report
+ * @returns {Object} The response object
+ */
+function createErrorResponse(id, error) {
+    const rpcError = {
+        code: Number.isInteger(error.code) ? error.code : JSONRPC_ERRORS.SERVER_ERROR,
+        message: error.message || 'Server error'
+    };
+    if (error.data !== undefined) {
+        rpcError.data = error.data;
+    }
+
+    return {
+        jsonrpc: JSONRPC_VERSION,
+        id: id,
+        error: rpcError
+    };
+}
+
+export {
+    JSONRPC_VERSION,
+    JSONRPC_ERRORS,
+    JsonRpcError,
+    readJsonRpcBody,
+    validateJsonRpcRequest,
+    isNotification,
+    getRequestId,
+    createResultResponse,
+    createErrorResponse
+};
\ No newline at end of file
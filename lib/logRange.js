@@ -0,0 +1,298 @@
+/**
+ * eth_getLogs Range Splitting
+ *
+ * Helpers for splitting eth_getLogs block ranges into chunks that the selected nodes accept.
+ * Each node starts with the block range configured for it (or for its chain) and the range is
+ * shrunk whenever the node rejects a query as too large, so later queries are sized to the
+ * limits the node actually enforces. Scans too large for a single request are paginated with
+ * opaque cursors.
+ */
+
+import { ethers } from 'ethers';
+import { ERROR_CODES, ProxyError } from './errors';
+
+// Default number of blocks queried from a node at once
+const DEFAULT_MAX_BLOCK_RANGE = 2000;
+
+// Default number of blocks a single eth_getLogs request may span before it must be paginated
+const DEFAULT_MAX_SPLIT_RANGE = 100000;
+
+// Default maximum number of logs returned by a single eth_getLogs request
+const DEFAULT_MAX_RESULTS = 10000;
+
+// Number of chunks queried in parallel
+const LOG_CHUNK_CONCURRENCY = 4;
+
+// Default and maximum number of blocks scanned per page of a paginated scan
+const DEFAULT_PAGE_BLOCK_RANGE = 10000;
+const MAX_PAGE_BLOCK_RANGE = 100000;
+
+// Default and maximum number of logs per page of a paginated scan
+const DEFAULT_PAGE_LIMIT = 1000;
+const MAX_PAGE_LIMIT = 10000;
+
+// Error messages of nodes rejecting the block range of a query
+const RANGE_LIMIT_PATTERN = /block range|range (is )?too (large|wide|big)|range limit|range exceeds|exceeds? (the )?max(imum)? range|limited to a [\d,]+ (block )?range|blocks? (range )?(is )?(too large|not supported)|ranges over/i;
+
+// Error messages of nodes rejecting a query because it matched too many logs
+const RESULT_LIMIT_PATTERN = /too many results|more than [\d,]+ results|response size|result(s)? (set )?(is )?too (large|big)|result limit|logs? limit/i;
+
+const LOGS_ERROR_KINDS = {
+    RANGE: 'range',
+    RESULTS: 'results'
+};
+
+// Block ranges learned from node errors, by node URL
+const learnedBlockRanges = new Map();
+
+/**
+ * Get the eth_getLogs settings of a chain
+ *
+ * Configured per chain in rpcs.json through the optional rpcLogs field, e.g.
+ * { "maxBlockRange": 2000, "maxSplitRange": 100000, "maxResults": 10000 }.
+ *
+ * @param {Object} chain - The chain configuration
+ * @returns {Object} The settings with defaults applied
+ */
+function getLogsConfig(chain) {
+    const config = (chain && chain.rpcLogs) || {};
+    const positive = (value, fallback) => Number.isInteger(value) && value > 0 ? value : fallback;
+    return {
+        maxBlockRange: positive(config.maxBlockRange, DEFAULT_MAX_BLOCK_RANGE),
+        maxSplitRange: positive(config.maxSplitRange, DEFAULT_MAX_SPLIT_RANGE),
+        maxResults: positive(config.maxResults, DEFAULT_MAX_RESULTS)
+    };
+}
+
+/**
+ * Get the number of blocks to query from a node at once
+ *
+ * A range learned from the node's errors takes precedence over the maxBlockRange of the
+ * node's entry in rpcs.json, which takes precedence over the chain setting.
+ *
+ * @param {Object} chain - The chain configuration
+ * @param {string} rpcUrl - The RPC URL of the node
+ * @returns {number} The block range
+ */
+function getNodeBlockRange(chain, rpcUrl) {
+    if (learnedBlockRanges.has(rpcUrl)) {
+        return learnedBlockRanges.get(rpcUrl);
+    }
+    const node = chain && Array.isArray(chain.rpc) ? chain.rpc.find(entry => entry.url === rpcUrl) : null;
+    if (node && Number.isInteger(node.maxBlockRange) && node.maxBlockRange > 0) {
+        return node.maxBlockRange;
+    }
+    return getLogsConfig(chain).maxBlockRange;
+}
+
+/**
+ * Shrink the block range of a node after it rejected a range as too large
+ *
+ * The limit stated in the error message is used when there is one, otherwise the rejected
+ * range is halved.
+ *
+ * @param {string} rpcUrl - The RPC URL of the node
+ * @param {Error} error - The error returned by the node
+ * @param {number} rejectedRange - The number of blocks of the rejected query
+ * @returns {number} The new block range of the node
+ */
+function recordBlockRangeLimit(rpcUrl, error, rejectedRange) {
+    const stated = ((error && error.message) || '').replace(/(\d),(\d)/g, '$1$2').match(/\b(\d+)\b/);
+    const statedRange = stated ? Number(stated[1]) : 0;
+    const range = statedRange > 0 && statedRange < rejectedRange ? statedRange : Math.max(Math.floor(rejectedRange / 2), 1);
+
+    learnedBlockRanges.set(rpcUrl, Math.min(range, learnedBlockRanges.get(rpcUrl) || Infinity));
+    console.log(`RPC node ${rpcUrl} limits eth_getLogs to ${learnedBlockRanges.get(rpcUrl)} blocks`);
+    return learnedBlockRanges.get(rpcUrl);
+}
+
+/**
+ * Check whether a node rejected an eth_getLogs query because of its size
+ * @param {Error} error - The error returned by the node
+ * @returns {string|null} LOGS_ERROR_KINDS.RESULTS if the query matched too many logs,
+ *     LOGS_ERROR_KINDS.RANGE if the block range was too large, null otherwise
+ */
+function classifyLogsError(error) {
+    const message = (error && error.message) || '';
+    // Result limit messages often suggest a smaller block range, so they are checked first
+    if (RESULT_LIMIT_PATTERN.test(message)) {
+        return LOGS_ERROR_KINDS.RESULTS;
+    }
+    if (RANGE_LIMIT_PATTERN.test(message)) {
+        return LOGS_ERROR_KINDS.RANGE;
+    }
+    return null;
+}
+
+/**
+ * Check whether a block bound of a filter can be resolved to a block number
+ * @param {any} blockTag - The fromBlock or toBlock of the filter
+ * @returns {boolean} True for omitted bounds, "latest", "earliest" and block numbers
+ */
+function isResolvableBlockBound(blockTag) {
+    return blockTag === undefined || blockTag === null || blockTag === 'latest' || blockTag === 'earliest'
+        || (typeof blockTag === 'string' && /^0x[0-9a-fA-F]+$/.test(blockTag))
+        || (Number.isInteger(blockTag) && blockTag >= 0);
+}
+
+/**
+ * Check whether an eth_getLogs request can be split into block ranges
+ *
+ * Filters by block hash, filters with safe, finalized or pending bounds and filters on the
+ * latest block only are sent to a node as they are.
+ *
+ * @param {string} method - The RPC method
+ * @param {Array} params - The RPC params
+ * @returns {boolean} True if the request is split into chunks
+ */
+function isSplittableLogsRequest(method, params) {
+    const filter = Array.isArray(params) ? params[0] : null;
+    if (method !== 'eth_getLogs' || !filter || typeof filter !== 'object' || filter.blockHash) {
+        return false;
+    }
+    if (!isResolvableBlockBound(filter.fromBlock) || !isResolvableBlockBound(filter.toBlock)) {
+        return false;
+    }
+    const isLatest = blockTag => blockTag === undefined || blockTag === null || blockTag === 'latest';
+    return !(isLatest(filter.fromBlock) && isLatest(filter.toBlock));
+}
+
+/**
+ * Resolve a block bound of a filter to a block number
+ * @param {any} blockTag - The fromBlock or toBlock of the filter
+ * @param {number} head - The current head block number of the chain
+ * @returns {number} The block number
+ * @throws {ProxyError} If the bound is not a block number, "latest" or "earliest"
+ */
+function resolveBlockBound(blockTag, head) {
+    if (blockTag === undefined || blockTag === null || blockTag === 'latest') {
+        return head;
+    }
+    if (blockTag === 'earliest') {
+        return 0;
+    }
+    if (!isResolvableBlockBound(blockTag)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid block bound: ${blockTag}`);
+    }
+    return Number(blockTag);
+}
+
+/**
+ * Create the filter sent to a node for one chunk
+ * @param {Object} filter - The filter of the request
+ * @param {number} fromBlock - The first block of the chunk
+ * @param {number} toBlock - The last block of the chunk
+ * @returns {Object} The chunk filter
+ */
+function createChunkFilter(filter, fromBlock, toBlock) {
+    return {
+        ...filter,
+        fromBlock: ethers.toQuantity(fromBlock),
+        toBlock: ethers.toQuantity(toBlock)
+    };
+}
+
+/**
+ * Sort logs by block number and log index
+ *
+ * Works for raw logs (hex logIndex) as well as ethers.js Log objects (numeric index).
+ *
+ * @param {Array<Object>} logs - The logs to sort
+ * @returns {Array<Object>} The sorted logs
+ */
+function sortLogs(logs) {
+    const position = log => [Number(log.blockNumber), Number(log.logIndex !== undefined ? log.logIndex : log.index)];
+    return logs.sort((a, b) => {
+        const [blockA, indexA] = position(a);
+        const [blockB, indexB] = position(b);
+        return blockA - blockB || indexA - indexB;
+    });
+}
+
+/**
+ * Cut a page of logs down to a limit, keeping the logs of the last included block complete
+ * @param {Array<Object>} logs - The sorted logs of the page
+ * @param {number} limit - The maximum number of logs of the page
+ * @returns {Object} { logs, lastBlock } where lastBlock is the last complete block, or null
+ *     if no logs were cut
+ */
+function trimLogsPage(logs, limit) {
+    if (logs.length <= limit) {
+        return { logs: logs, lastBlock: null };
+    }
+    // 同一区块的日志不拆分到两页
+    const lastBlock = Number(logs[limit - 1].blockNumber);
+    let end = limit;
+    while (end < logs.length && Number(logs[end].blockNumber) === lastBlock) {
+        end++;
+    }
+    return { logs: logs.slice(0, end), lastBlock: lastBlock };
+}
+
+/**
+ * Encode the position of a paginated scan
+ * @param {Object} scan - { address, topics, fromBlock, toBlock } of the remaining scan
+ * @returns {string} The opaque cursor
+ */
+function encodeLogsCursor(scan) {
+    return Buffer.from(JSON.stringify(scan)).toString('base64url');
+}
+
+/**
+ * Decode a cursor returned by a previous page
+ * @param {string} cursor - The opaque cursor
+ * @returns {Object} { address, topics, fromBlock, toBlock } of the remaining scan
+ * @throws {ProxyError} If the cursor is malformed
+ */
+function decodeLogsCursor(cursor) {
+    try {
+        const scan = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Number.isInteger(scan.fromBlock) || !Number.isInteger(scan.toBlock)) {
+            throw new Error('missing block range');
+        }
+        return scan;
+    } catch (error) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'Invalid cursor');
+    }
+}
+
+/**
+ * Read a positive integer page option
+ * @param {any} value - The requested value
+ * @param {number} fallback - The default value
+ * @param {number} max - The maximum value
+ * @param {string} name - The option name, for error messages
+ * @returns {number} The option value
+ * @throws {ProxyError} If the value is not a positive integer
+ */
+function getPageOption(value, fallback, max, name) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${name} must be a positive integer`);
+    }
+    return Math.min(number, max);
+}
+
+export {
+    LOGS_ERROR_KINDS,
+    LOG_CHUNK_CONCURRENCY,
+    DEFAULT_PAGE_BLOCK_RANGE,
+    MAX_PAGE_BLOCK_RANGE,
+    DEFAULT_PAGE_LIMIT,
+    MAX_PAGE_LIMIT,
+    getLogsConfig,
+    getNodeBlockRange,
+    recordBlockRangeLimit,
+    classifyLogsError,
+    isSplittableLogsRequest,
+    resolveBlockBound,
+    createChunkFilter,
+    sortLogs,
+    trimLogsPage,
+    encodeLogsCursor,
+    decodeLogsCursor,
+    getPageOption
+};
\ No newline at end of file
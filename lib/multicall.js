@@ -0,0 +1,98 @@
+/**
+ * Multicall3 Aggregation
+ *
+ * Helpers for batching contract reads into Multicall3 aggregate3 calls, so dozens of reads
+ * cost a single eth_call. Multicall3 is deployed at the same address on most chains; chains
+ * with a different deployment or without one are configured in rpcs.json.
+ */
+
+import { ethers } from 'ethers';
+import { ProxyError, classifyError } from './errors';
+
+// Canonical Multicall3 deployment address
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Maximum number of reads in a single multicall request
+const MAX_MULTICALL_CALLS = 500;
+
+// Number of reads aggregated into one eth_call, larger requests are split
+const MULTICALL_BATCH_SIZE = 100;
+
+// Number of reads sent in parallel on chains without Multicall3
+const MULTICALL_FALLBACK_CONCURRENCY = 8;
+
+const multicallInterface = new ethers.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+/**
+ * Error raised when a read that does not allow failure fails
+ *
+ * Carries the error code of the read's failure, the index of the read in the request and
+ * the decoded revert if the read reverted.
+ */
+class MulticallCallError extends ProxyError {
+    /**
+     * @param {number} index - The index of the failed read
+     * @param {string} label - The contract and function of the read, e.g. token.balanceOf
+     * @param {Error} error - The error of the read
+     */
+    constructor(index, label, error) {
+        super(classifyError(error), `calls[${index}] ${label} failed: ${error.message}`, error.data);
+        this.name = 'MulticallCallError';
+        this.index = index;
+        this.revert = error.revert || null;
+    }
+}
+
+/**
+ * Get the Multicall3 address of a chain
+ *
+ * Configured per chain in rpcs.json through the optional multicall3 field: an address for
+ * chains with a non-canonical deployment, or false for chains without Multicall3.
+ *
+ * @param {Object} chain - The chain configuration
+ * @returns {string|null} The Multicall3 address, or null if the chain has none
+ */
+function getMulticallAddress(chain) {
+    if (!chain || chain.multicall3 === false) {
+        return null;
+    }
+    return typeof chain.multicall3 === 'string' && ethers.isAddress(chain.multicall3) ? chain.multicall3 : MULTICALL3_ADDRESS;
+}
+
+/**
+ * Encode an aggregate3 call
+ *
+ * Every read is sent with allowFailure set, so one failing read never reverts the batch and
+ * the failure can be reported for that read alone.
+ *
+ * @param {Array<Object>} calls - The reads as { target, callData }
+ * @returns {string} The aggregate3 calldata
+ */
+function encodeAggregate3(calls) {
+    return multicallInterface.encodeFunctionData('aggregate3', [
+        calls.map(call => [call.target, true, call.callData])
+    ]);
+}
+
+/**
+ * Decode the return data of an aggregate3 call
+ * @param {string} data - The return data of the eth_call
+ * @returns {Array<Object>} One { success, returnData } per read, in call order
+ */
+function decodeAggregate3(data) {
+    const [results] = multicallInterface.decodeFunctionResult('aggregate3', data);
+    return results.map(result => ({ success: result.success, returnData: result.returnData }));
+}
+
+export {
+    MULTICALL3_ADDRESS,
+    MAX_MULTICALL_CALLS,
+    MULTICALL_BATCH_SIZE,
+    MULTICALL_FALLBACK_CONCURRENCY,
+    MulticallCallError,
+    getMulticallAddress,
+    encodeAggregate3,
+    decodeAggregate3
+};
\ No newline at end of file
@@ -0,0 +1,662 @@
+/**
+ * Node Health Registry
+ *
+ * This module keeps a health record and a circuit breaker for every RPC node URL, based on
+ * the outcome of real requests. Nodes are selected from this registry without probing them
+ * on the hot path. Records live in memory and can optionally be persisted through a
+ * pluggable storage backend.
+ */
+
+import { promises as fs } from 'fs';
+import { ERROR_CODES, classifyError, classifyHttpStatus } from './errors';
+
+// Consecutive failures before a node's circuit is opened
+const FAILURE_THRESHOLD = 3;
+
+// Cooldown before an open circuit lets a trial request through, doubled on every reopen
+const BASE_COOLDOWN_MS = 30 * 1000;
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// How long a half-open node is reserved for its trial request
+const HALF_OPEN_TRIAL_MS = 15 * 1000;
+
+// Delay used to group record updates into a single storage write
+const SAVE_DELAY_MS = 1000;
+
+// Smoothing factor of the exponentially weighted latency and error rate (higher reacts faster)
+const EWMA_ALPHA = 0.2;
+
+// Latency assumed for nodes that have not been measured yet, so they still get traffic
+const DEFAULT_LATENCY_MS = 500;
+
+// Default number of blocks a node may lag behind the chain head
+const DEFAULT_MAX_BLOCK_LAG = 10;
+
+// Node heads are only compared with the chain head when observed around the same time
+const HEAD_COMPARE_WINDOW_MS = 30 * 1000;
+
+// Head reports older than this (a few head refresh intervals) no longer count towards the chain head
+const HEAD_REPORT_TTL_MS = 60 * 1000;
+
+// Number of nodes that must report a block before it is trusted as chain head
+const MIN_HEAD_REPORTS = 2;
+
+// How long a session stays on the same node when sticky routing is enabled
+const DEFAULT_STICKY_TTL_MS = 5 * 60 * 1000;
+const MAX_STICKY_SESSIONS = 10000;
+
+const SELECTION_STRATEGIES = {
+    LATENCY: 'latency',
+    RANDOM: 'random'
+};
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+const healthRecords = new Map();
+
+// Recent head reports per chain: chainId -> { reports: Map(url -> { blockNumber, updatedAt }), head, expiresAt }
+const chainHeads = new Map();
+
+// Sticky session key (chain + client) -> { url, expiresAt }
+const stickySessions = new Map();
+
+let healthStore = null;
+let loadPromise = null;
+let saveTimer = null;
+
+/**
+ * Create an empty health record for a node
+ * @param {string} url - The RPC URL
+ * @returns {Object} The health record
+ */
+function createHealthRecord(url) {
+    return {
+        url: url,
+        successes: 0,
+        failures: 0,
+        rateLimits: 0,
+        consecutiveFailures: 0,
+        lastStatus: null,
+        lastError: null,
+        lastLatencyMs: null,
+        latencyEwmaMs: null,
+        errorRateEwma: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        headBlock: null,
+        headUpdatedAt: 0,
+        circuit: CIRCUIT_STATES.CLOSED,
+        openCount: 0,
+        cooldownUntil: 0,
+        trialStartedAt: 0
+    };
+}
+
+/**
+ * Get the health record for a node, creating it if needed
+ * @param {string} url - The RPC URL
+ * @returns {Object} The health record
+ */
+function getHealthRecord(url) {
+    let record = healthRecords.get(url);
+    if (!record) {
+        record = createHealthRecord(url);
+        healthRecords.set(url, record);
+    }
+    return record;
+}
+
+/**
+ * Extract the HTTP status of a failed request from axios, ethers or proxy errors
+ * @param {Error} error - The error to inspect
+ * @returns {number|null} The HTTP status, or null if there is none
+ */
+function getFailureStatus(error) {
+    if (!error) {
+        return null;
+    }
+    if (error.response && Number.isInteger(error.response.status)) {
+        return error.response.status;
+    }
+    if (error.response && Number.isInteger(error.response.statusCode)) {
+        return error.response.statusCode;
+    }
+    if (error.data && Number.isInteger(error.data.status)) {
+        return error.data.status;
+    }
+
+    const match = /(?:HTTP|server response|status code) (\d{3})/.exec(error.message || '');
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Check if an error means the node is rate limiting us or asking for payment
+ * @param {Error} error - The error to inspect
+ * @returns {boolean} True if the error is a rate limit error
+ */
+function isRateLimitError(error) {
+    const status = getFailureStatus(error);
+    if (status !== null && classifyHttpStatus(status) === ERROR_CODES.RATE_LIMITED) {
+        return true;
+    }
+    return classifyError(error) === ERROR_CODES.RATE_LIMITED;
+}
+
+/**
+ * Get the current circuit state of a health record
+ * @param {Object} record - The health record
+ * @param {number} now - The current time in milliseconds
+ * @returns {string} One of CIRCUIT_STATES
+ */
+function getCircuitState(record, now = Date.now()) {
+    if (record.circuit === CIRCUIT_STATES.OPEN && now >= record.cooldownUntil) {
+        return CIRCUIT_STATES.HALF_OPEN;
+    }
+    return record.circuit;
+}
+
+/**
+ * Open the circuit of a node, doubling the cooldown each time it reopens
+ * @param {Object} record - The health record
+ * @param {number} baseCooldown - The base cooldown in milliseconds
+ * @param {number} now - The current time in milliseconds
+ */
+function openCircuit(record, baseCooldown, now) {
+    const cooldown = Math.min(baseCooldown * Math.pow(2, record.openCount), MAX_COOLDOWN_MS);
+    record.circuit = CIRCUIT_STATES.OPEN;
+    record.openCount++;
+    record.cooldownUntil = now + cooldown;
+    record.trialStartedAt = 0;
+    console.warn(`RPC node ${record.url} circuit opened for ${Math.round(cooldown / 1000)}s`);
+}
+
+/**
+ * Record a successful request to a node, closing its circuit
+ * @param {string} url - The RPC URL
+ * @param {number} latencyMs - Optional request latency in milliseconds
+ */
+function recordNodeSuccess(url, latencyMs = null) {
+    const record = getHealthRecord(url);
+    record.successes++;
+    record.consecutiveFailures = 0;
+    record.lastSuccessAt = Date.now();
+    record.errorRateEwma = (1 - EWMA_ALPHA) * record.errorRateEwma;
+    if (latencyMs !== null) {
+        record.lastLatencyMs = latencyMs;
+        record.latencyEwmaMs = record.latencyEwmaMs === null
+            ? latencyMs
+            : EWMA_ALPHA * latencyMs + (1 - EWMA_ALPHA) * record.latencyEwmaMs;
+    }
+
+    if (record.circuit !== CIRCUIT_STATES.CLOSED) {
+        console.log(`RPC node ${url} circuit closed`);
+    }
+    record.circuit = CIRCUIT_STATES.CLOSED;
+    record.openCount = 0;
+    record.cooldownUntil = 0;
+    record.trialStartedAt = 0;
+
+    scheduleSave();
+}
+
+/**
+ * Record a failed request to a node, opening its circuit when needed
+ *
+ * Rate limit responses (HTTP 402/406/429, "cu limit exceeded"...) open the circuit immediately,
+ * other failures open it after FAILURE_THRESHOLD consecutive failures or a failed trial request.
+ *
+ * @param {string} url - The RPC URL
+ * @param {Error} error - The error the request failed with
+ */
+function recordNodeFailure(url, error) {
+    const now = Date.now();
+    const record = getHealthRecord(url);
+    const state = getCircuitState(record, now);
+
+    record.failures++;
+    record.consecutiveFailures++;
+    record.lastFailureAt = now;
+    record.errorRateEwma = EWMA_ALPHA + (1 - EWMA_ALPHA) * record.errorRateEwma;
+    record.lastStatus = getFailureStatus(error);
+    record.lastError = error && error.message ? error.message.slice(0, 200) : 'Unknown error';
+
+    if (isRateLimitError(error)) {
+        record.rateLimits++;
+        openCircuit(record, RATE_LIMIT_COOLDOWN_MS, now);
+    } else if (state === CIRCUIT_STATES.HALF_OPEN || record.consecutiveFailures >= FAILURE_THRESHOLD) {
+        openCircuit(record, BASE_COOLDOWN_MS, now);
+    }
+
+    scheduleSave();
+}
+
+/**
+ * Compute the head of a chain from the recent head reports of its nodes
+ *
+ * The head is the highest block reported by at least MIN_HEAD_REPORTS nodes, so a single
+ * misconfigured node reporting a block far ahead cannot move it. Expired reports are dropped.
+ *
+ * @param {Object} entry - The head reports of the chain
+ * @param {number} now - The current time in milliseconds
+ */
+function computeChainHead(entry, now) {
+    for (const [url, report] of entry.reports) {
+        if (now - report.updatedAt > HEAD_REPORT_TTL_MS) {
+            entry.reports.delete(url);
+        }
+    }
+
+    const top = [...entry.reports.values()]
+        .sort((a, b) => b.blockNumber - a.blockNumber)
+        .slice(0, MIN_HEAD_REPORTS);
+    if (top.length < MIN_HEAD_REPORTS) {
+        entry.head = null;
+        entry.expiresAt = Infinity;
+        return;
+    }
+
+    // 任一支撑报告过期后需要重新计算
+    entry.head = top[MIN_HEAD_REPORTS - 1];
+    entry.expiresAt = Math.min(...top.map(report => report.updatedAt)) + HEAD_REPORT_TTL_MS;
+}
+
+/**
+ * Record the head block number reported by a node
+ * @param {number} chainId - The chain ID the node serves
+ * @param {string} url - The RPC URL
+ * @param {number} blockNumber - The latest block number reported by the node
+ */
+function recordNodeHead(chainId, url, blockNumber) {
+    if (!Number.isSafeInteger(blockNumber) || blockNumber < 0) {
+        return;
+    }
+
+    const now = Date.now();
+    const record = getHealthRecord(url);
+    record.headBlock = blockNumber;
+    record.headUpdatedAt = now;
+
+    let entry = chainHeads.get(chainId);
+    if (!entry) {
+        entry = { reports: new Map(), head: null, expiresAt: Infinity };
+        chainHeads.set(chainId, entry);
+    }
+    entry.reports.set(url, { blockNumber: blockNumber, updatedAt: now });
+    computeChainHead(entry, now);
+}
+
+/**
+ * Get the current head report of a chain
+ * @param {number} chainId - The chain ID
+ * @returns {Object|null} { blockNumber, updatedAt }, or null if no head is known
+ */
+function getChainHeadReport(chainId) {
+    const entry = chainHeads.get(chainId);
+    if (!entry) {
+        return null;
+    }
+    const now = Date.now();
+    if (now >= entry.expiresAt) {
+        computeChainHead(entry, now);
+    }
+    return entry.head;
+}
+
+/**
+ * Get the head block number of a chain
+ *
+ * The head is the highest block reported by at least MIN_HEAD_REPORTS nodes within the last
+ * HEAD_REPORT_TTL_MS.
+ *
+ * @param {number} chainId - The chain ID
+ * @returns {number|null} The block number, or null if no head is known
+ */
+function getChainHead(chainId) {
+    const chainHead = getChainHeadReport(chainId);
+    return chainHead ? chainHead.blockNumber : null;
+}
+
+/**
+ * Get how many blocks a node lags behind the head of its chain
+ *
+ * The lag is only known when the node's head was observed around the same time as the
+ * chain head, older observations are not comparable.
+ *
+ * @param {Object} record - The health record
+ * @param {number} chainId - The chain ID the node serves
+ * @returns {number|null} The lag in blocks, or null if unknown
+ */
+function getBlockLag(record, chainId) {
+    const chainHead = getChainHeadReport(chainId);
+    if (!chainHead || record.headBlock === null || chainHead.updatedAt - record.headUpdatedAt > HEAD_COMPARE_WINDOW_MS) {
+        return null;
+    }
+    return Math.max(chainHead.blockNumber - record.headBlock, 0);
+}
+
+/**
+ * Check whether a node lags too far behind the head of its chain
+ * @param {Object} record - The health record
+ * @param {number} chainId - The chain ID the node serves
+ * @param {number} maxBlockLag - The maximum allowed lag in blocks
+ * @returns {boolean} True if the node is stale
+ */
+function isLagging(record, chainId, maxBlockLag = DEFAULT_MAX_BLOCK_LAG) {
+    if (chainId === undefined || chainId === null) {
+        return false;
+    }
+    const lag = getBlockLag(record, chainId);
+    return lag !== null && lag > maxBlockLag;
+}
+
+/**
+ * Get the URLs of nodes that can currently serve requests (closed circuit and not lagging)
+ * @param {Array<string>} urls - The RPC URLs
+ * @param {Object} options - Optional options
+ * @param {number} options.chainId - The chain ID, used for block lag detection
+ * @param {number} options.maxBlockLag - The maximum allowed lag in blocks
+ * @returns {Array<string>} The healthy URLs
+ */
+function getHealthyNodes(urls, options = {}) {
+    const now = Date.now();
+    return urls.filter(url => {
+        const record = getHealthRecord(url);
+        return getCircuitState(record, now) === CIRCUIT_STATES.CLOSED && !isLagging(record, options.chainId, options.maxBlockLag);
+    });
+}
+
+/**
+ * Get the selection weight of a node for the latency strategy
+ *
+ * Faster nodes and nodes with a lower recent error rate get proportionally more traffic.
+ *
+ * @param {Object} record - The health record
+ * @returns {number} The selection weight
+ */
+function getSelectionWeight(record) {
+    const latency = record.latencyEwmaMs === null ? DEFAULT_LATENCY_MS : Math.max(record.latencyEwmaMs, 1);
+    const reliability = Math.pow(1 - record.errorRateEwma, 2);
+    return reliability / latency;
+}
+
+/**
+ * Pick one URL from a list according to a selection strategy
+ * @param {Array<string>} urls - The URLs to pick from (at least one)
+ * @param {string} strategy - One of SELECTION_STRATEGIES
+ * @returns {string} The picked URL
+ */
+function pickNode(urls, strategy) {
+    if (strategy === SELECTION_STRATEGIES.RANDOM || urls.length === 1) {
+        return urls[Math.floor(Math.random() * urls.length)];
+    }
+
+    const weights = urls.map(url => getSelectionWeight(getHealthRecord(url)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+        return urls[Math.floor(Math.random() * urls.length)];
+    }
+
+    let target = Math.random() * total;
+    for (let i = 0; i < urls.length; i++) {
+        target -= weights[i];
+        if (target < 0) {
+            return urls[i];
+        }
+    }
+    return urls[urls.length - 1];
+}
+
+/**
+ * Remember the node a sticky session was routed to
+ * @param {string} stickyKey - The session key
+ * @param {string} url - The selected RPC URL
+ * @param {number} ttlMs - How long the session stays on the node
+ * @param {number} now - The current time in milliseconds
+ */
+function rememberStickyNode(stickyKey, url, ttlMs, now) {
+    if (stickySessions.size >= MAX_STICKY_SESSIONS) {
+        for (const [key, session] of stickySessions) {
+            if (session.expiresAt <= now) {
+                stickySessions.delete(key);
+            }
+        }
+        // Still full: drop the oldest session
+        if (stickySessions.size >= MAX_STICKY_SESSIONS) {
+            stickySessions.delete(stickySessions.keys().next().value);
+        }
+    }
+    stickySessions.set(stickyKey, { url: url, expiresAt: now + ttlMs });
+}
+
+/**
+ * Select a node from a list of URLs based on their health records
+ *
+ * Nodes with a closed circuit are preferred, picked according to the selection strategy
+ * (weighted by smoothed latency and error rate by default). When there are none, a half-open
+ * node is reserved for a trial request. As a last resort the node whose cooldown ends first is
+ * returned, so a chain whose nodes all failed recently can still recover.
+ *
+ * With a sticky key, the same session keeps using the node it was last routed to as long as
+ * that node stays healthy, which keeps nonces and chain heads consistent between reads.
+ *
+ * When a chain ID is given, nodes lagging more than maxBlockLag blocks behind the chain head
+ * are only used when no other node is available.
+ *
+ * @param {Array<string>} urls - The candidate RPC URLs
+ * @param {Object} options - Optional selection options
+ * @param {Set<string>|Array<string>} options.exclude - URLs to avoid (e.g. already tried), unless all are excluded
+ * @param {string} options.strategy - One of SELECTION_STRATEGIES (default: latency)
+ * @param {string} options.stickyKey - Session key for sticky routing
+ * @param {number} options.stickyTtlMs - How long a session stays on the same node
+ * @param {number} options.chainId - The chain ID, used for block lag detection
+ * @param {number} options.maxBlockLag - The maximum allowed lag in blocks
+ * @returns {string|null} The selected URL, or null if there are no URLs
+ */
+function selectHealthyNode(urls, options = {}) {
+    const {
+        exclude = [],
+        strategy = SELECTION_STRATEGIES.LATENCY,
+        stickyKey = null,
+        stickyTtlMs = DEFAULT_STICKY_TTL_MS,
+        chainId = null,
+        maxBlockLag = DEFAULT_MAX_BLOCK_LAG
+    } = options;
+
+    const now = Date.now();
+    const excluded = new Set(exclude);
+    let candidates = urls.filter(url => !excluded.has(url));
+
+    // Once every node has been tried, allow them to be tried again
+    if (candidates.length === 0) {
+        candidates = urls;
+    }
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const closed = [];
+    const lagging = [];
+    const halfOpen = [];
+    for (const url of candidates) {
+        const record = getHealthRecord(url);
+        const state = getCircuitState(record, now);
+        if (state === CIRCUIT_STATES.CLOSED && isLagging(record, chainId, maxBlockLag)) {
+            lagging.push(url);
+        } else if (state === CIRCUIT_STATES.CLOSED) {
+            closed.push(url);
+        } else if (state === CIRCUIT_STATES.HALF_OPEN && now - record.trialStartedAt >= HALF_OPEN_TRIAL_MS) {
+            halfOpen.push(url);
+        }
+    }
+
+    if (closed.length > 0) {
+        if (stickyKey) {
+            const session = stickySessions.get(stickyKey);
+            if (session && session.expiresAt > now && closed.includes(session.url)) {
+                session.expiresAt = now + stickyTtlMs;
+                return session.url;
+            }
+        }
+
+        const url = pickNode(closed, strategy);
+        if (stickyKey) {
+            rememberStickyNode(stickyKey, url, stickyTtlMs, now);
+        }
+        return url;
+    }
+
+    if (halfOpen.length > 0) {
+        const url = halfOpen[Math.floor(Math.random() * halfOpen.length)];
+        getHealthRecord(url).trialStartedAt = now;
+        return url;
+    }
+
+    // Stale data is better than no data when every responsive node is lagging
+    if (lagging.length > 0) {
+        return pickNode(lagging, strategy);
+    }
+
+    return candidates.reduce((best, url) =>
+        getHealthRecord(url).cooldownUntil < getHealthRecord(best).cooldownUntil ? url : best
+    );
+}
+
+/**
+ * Get the health status of a list of nodes
+ * @param {Array<string>} urls - The RPC URLs
+ * @param {Object} options - Optional options
+ * @param {number} options.chainId - The chain ID, used to report block lag
+ * @param {number} options.maxBlockLag - The maximum allowed lag in blocks
+ * @returns {Array<Object>} One status object per URL
+ */
+function getNodeHealth(urls, options = {}) {
+    const now = Date.now();
+    return urls.map(url => {
+        const record = getHealthRecord(url);
+        const blockLag = options.chainId === undefined ? null : getBlockLag(record, options.chainId);
+        return {
+            url: url,
+            state: getCircuitState(record, now),
+            successes: record.successes,
+            failures: record.failures,
+            rateLimits: record.rateLimits,
+            consecutiveFailures: record.consecutiveFailures,
+            lastStatus: record.lastStatus,
+            lastError: record.lastError,
+            lastLatencyMs: record.lastLatencyMs,
+            latencyEwmaMs: record.latencyEwmaMs === null ? null : Math.round(record.latencyEwmaMs),
+            errorRate: Number(record.errorRateEwma.toFixed(3)),
+            headBlock: record.headBlock,
+            blockLag: blockLag,
+            lagging: blockLag !== null && blockLag > (options.maxBlockLag === undefined ? DEFAULT_MAX_BLOCK_LAG : options.maxBlockLag),
+            lastSuccessAt: record.lastSuccessAt ? new Date(record.lastSuccessAt).toISOString() : null,
+            lastFailureAt: record.lastFailureAt ? new Date(record.lastFailureAt).toISOString() : null,
+            cooldownUntil: record.cooldownUntil > now ? new Date(record.cooldownUntil).toISOString() : null
+        };
+    });
+}
+
+/**
+ * Create a storage backend that persists health records to a JSON file
+ * @param {string} filePath - The path of the JSON file
+ * @returns {Object} A storage backend with load() and save(records) methods
+ */
+function createFileHealthStore(filePath) {
+    return {
+        async load() {
+            try {
+                return JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        },
+        async save(records) {
+            await fs.writeFile(filePath, JSON.stringify(records));
+        }
+    };
+}
+
+/**
+ * Set the storage backend used to persist health records
+ *
+ * A backend is any object with async load() returning a { url: record } map (or null) and
+ * async save(records) accepting the same map, e.g. a KV namespace wrapper.
+ *
+ * @param {Object|null} store - The storage backend, or null to keep records in memory only
+ */
+function setHealthStore(store) {
+    healthStore = store;
+    loadPromise = null;
+}
+
+/**
+ * Load persisted health records once, without overwriting records already seen in memory
+ * @returns {Promise<void>}
+ */
+async function loadNodeHealth() {
+    if (!healthStore) {
+        return;
+    }
+    if (!loadPromise) {
+        loadPromise = healthStore.load()
+            .then(records => {
+                for (const [url, record] of Object.entries(records || {})) {
+                    if (!healthRecords.has(url)) {
+                        healthRecords.set(url, { ...createHealthRecord(url), ...record, trialStartedAt: 0 });
+                    }
+                }
+            })
+            .catch(error => {
+                console.warn('Failed to load node health records:', error.message);
+            });
+    }
+    await loadPromise;
+}
+
+/**
+ * Schedule a write of all health records to the storage backend
+ */
+function scheduleSave() {
+    if (!healthStore || saveTimer) {
+        return;
+    }
+
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        healthStore.save(Object.fromEntries(healthRecords)).catch(error => {
+            console.warn('Failed to save node health records:', error.message);
+        });
+    }, SAVE_DELAY_MS);
+
+    // Never keep the process alive just to persist health records
+    if (saveTimer.unref) {
+        saveTimer.unref();
+    }
+}
+
+// Persist health records to a file when configured (e.g. /tmp/node-health.json)
+if (process.env.NODE_HEALTH_STORE_FILE) {
+    setHealthStore(createFileHealthStore(process.env.NODE_HEALTH_STORE_FILE));
+}
+
+export {
+    CIRCUIT_STATES,
+    SELECTION_STRATEGIES,
+    DEFAULT_MAX_BLOCK_LAG,
+    recordNodeSuccess,
+    recordNodeFailure,
+    selectHealthyNode,
+    getHealthyNodes,
+    recordNodeHead,
+    getChainHead,
+    getNodeHealth,
+    isRateLimitError,
+    createFileHealthStore,
+    setHealthStore,
+    loadNodeHealth
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Cross-Chain Portfolio
+ *
+ * This module reads the native and ERC-20 balances of an address on several chains at once.
+ * Chains are queried in parallel, ERC-20 balances of a chain in a single multicall request
+ * (see tokens.js, which also caches the token metadata).
+ * Failures are reported per chain and per token, and chains that do not answer within the
+ * time budget are reported as timed out, so one slow chain never holds back the others.
+ */
+
+import { ethers } from 'ethers';
+import { getChainConfig, forwardRpcRequest } from './rpcHandler';
+import { formatTokenAmount, getTokenBalances } from './tokens';
+import { ERROR_CODES, ProxyError, createErrorBody } from './errors';
+
+// Default and maximum time budget of a portfolio request
+const DEFAULT_TIME_BUDGET_MS = 5000;
+const MAX_TIME_BUDGET_MS = 15000;
+
+// Maximum number of chains and of tokens per chain in a portfolio request
+const MAX_PORTFOLIO_CHAINS = 20;
+const MAX_PORTFOLIO_TOKENS = 100;
+
+/**
+ * Validate the chain selection of a portfolio request
+ * @param {Array<Object>} chains - The selected chains as { chainId, tokens }
+ * @returns {Array<Object>} The selection as { chain, tokens } with the chain configuration
+ * @throws {ProxyError} If the selection is invalid
+ */
+function parsePortfolioChains(chains) {
+    if (!Array.isArray(chains) || chains.length === 0) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'chains must be a non-empty array of { chainId, tokens }');
+    }
+    if (chains.length > MAX_PORTFOLIO_CHAINS) {
+        throw new ProxyError(ERROR_CODES.LIMIT_EXCEEDED, `At most ${MAX_PORTFOLIO_CHAINS} chains are allowed per request, got ${chains.length}`);
+    }
+
+    const seen = new Set();
+    return chains.map((selection, index) => {
+        const prefix = `chains[${index}]`;
+        if (!selection || typeof selection !== 'object') {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix} must be an object`);
+        }
+
+        const chain = getChainConfig(Number(selection.chainId));
+        if (!chain) {
+            throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `${prefix}: unsupported chain ID ${selection.chainId}`);
+        }
+        if (seen.has(chain.chainId)) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: chain ${chain.chainId} is selected twice`);
+        }
+        seen.add(chain.chainId);
+
+        const tokens = selection.tokens === undefined ? [] : selection.tokens;
+        if (!Array.isArray(tokens) || tokens.some(token => typeof token !== 'string' || !ethers.isAddress(token))) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: tokens must be an array of token addresses`);
+        }
+        if (tokens.length > MAX_PORTFOLIO_TOKENS) {
+            throw new ProxyError(ERROR_CODES.LIMIT_EXCEEDED, `${prefix}: at most ${MAX_PORTFOLIO_TOKENS} tokens are allowed per chain, got ${tokens.length}`);
+        }
+
+        return { chain: chain, tokens: tokens };
+    });
+}
+
+/**
+ * Get the time budget of a portfolio request
+ * @param {any} value - The requested budget in milliseconds, undefined for the default
+ * @returns {number} The time budget in milliseconds
+ * @throws {ProxyError} If the value is not a positive integer
+ */
+function getTimeBudget(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_TIME_BUDGET_MS;
+    }
+    const budget = Number(value);
+    if (!Number.isInteger(budget) || budget <= 0) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'timeoutMs must be a positive integer');
+    }
+    return Math.min(budget, MAX_TIME_BUDGET_MS);
+}
+
+/**
+ * Read the native balance of an address on a chain
+ * @param {Object} chain - The chain configuration
+ * @param {string} address - The address
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<Object>} { success, symbol, name, decimals, raw, formatted }, or { success: false, error, code }
+ */
+async function getNativeBalance(chain, address, options) {
+    const currency = chain.nativeCurrency || {};
+    const decimals = Number.isInteger(currency.decimals) ? currency.decimals : 18;
+    try {
+        const balance = await forwardRpcRequest({ method: 'eth_getBalance', params: [address, 'latest'] }, chain.chainId, options);
+        return {
+            success: true,
+            symbol: currency.symbol || null,
+            name: currency.name || null,
+            decimals: decimals,
+            ...formatTokenAmount(balance, decimals)
+        };
+    } catch (error) {
+        return createErrorBody(error);
+    }
+}
+
+/**
+ * Read the native and ERC-20 balances of an address on a chain
+ * @param {Object} selection - The chain selection as { chain, tokens }
+ * @param {string} address - The address
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<Object>} { chainId, name, success, native, tokens }
+ */
+async function getChainPortfolio(selection, address, options) {
+    const { chain, tokens } = selection;
+    const [native, tokenBalances] = await Promise.all([
+        getNativeBalance(chain, address, options),
+        getTokenBalances(chain.chainId, address, tokens, options).catch(error => {
+            const failure = createErrorBody(error);
+            return tokens.map(token => ({ address: token, ...failure }));
+        })
+    ]);
+
+    return {
+        chainId: chain.chainId,
+        name: chain.name,
+        success: native.success && tokenBalances.every(token => token.success),
+        native: native,
+        tokens: tokenBalances
+    };
+}
+
+/**
+ * Read the native and ERC-20 balances of an address on several chains
+ *
+ * Chains still running when the time budget runs out are reported with an UPSTREAM_TIMEOUT
+ * error, their pending reads are left to finish in the background.
+ *
+ * @param {string} address - The address
+ * @param {Array<Object>} chains - The selected chains as { chainId, tokens }
+ * @param {Object} options - Optional request options
+ * @param {number} options.timeoutMs - Time budget in milliseconds (default: 5000, max: 15000)
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @returns {Promise<Object>} { complete, chains } where complete is true if every balance was read
+ * @throws {ProxyError} If the address or the chain selection is invalid
+ */
+async function getPortfolio(address, chains, options = {}) {
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid address: ${address}`);
+    }
+    const selections = parsePortfolioChains(chains);
+    const budget = getTimeBudget(options.timeoutMs);
+    const requestOptions = { sessionKey: options.sessionKey };
+
+    let timer;
+    const deadline = new Promise(resolve => {
+        timer = setTimeout(resolve, budget);
+    });
+
+    try {
+        const results = await Promise.all(selections.map(selection => Promise.race([
+            getChainPortfolio(selection, address, requestOptions),
+            deadline.then(() => ({
+                chainId: selection.chain.chainId,
+                name: selection.chain.name,
+                ...createErrorBody(new ProxyError(ERROR_CODES.UPSTREAM_TIMEOUT, `Chain did not answer within the time budget of ${budget} ms`))
+            }))
+        ])));
+        return { complete: results.every(result => result.success), chains: results };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export {
+    DEFAULT_TIME_BUDGET_MS,
+    MAX_TIME_BUDGET_MS,
+    MAX_PORTFOLIO_CHAINS,
+    MAX_PORTFOLIO_TOKENS,
+    getPortfolio
+};
\ No newline at end of file
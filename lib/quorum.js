@@ -0,0 +1,220 @@
+/**
+ * Quorum Reads
+ *
+ * Helpers for the opt-in quorum consistency mode, where the same read is sent to several
+ * nodes at a pinned block and only an answer returned by enough of them is trusted. The mode
+ * is enabled per chain through the rpcConsistency field in rpcs.json, or per request with the
+ * X-Rpc-Consistency header.
+ */
+
+import { ERROR_CODES, ProxyError } from './errors';
+import { stableStringify, BLOCK_TAG_METHODS } from './rpcCache';
+
+const CONSISTENCY_MODES = {
+    SINGLE: 'single',
+    QUORUM: 'quorum'
+};
+
+// Default number of nodes queried for a quorum read
+const DEFAULT_QUORUM_SIZE = 3;
+
+// Methods addressing data by hash, which are compared without pinning a block
+const BY_HASH_METHODS = ['eth_getBlockByHash', 'eth_getTransactionByHash', 'eth_getTransactionReceipt'];
+
+// Default number of blocks below the chain head that quorum reads are pinned to,
+// so that nodes a block or two behind can still answer
+const DEFAULT_PIN_DEPTH = 2;
+
+/**
+ * Error raised when the queried nodes do not agree on an answer
+ */
+class QuorumError extends ProxyError {
+    /**
+     * @param {string} message - The error message
+     * @param {Object} details - The pinned block, the required agreement and every node's answer
+     */
+    constructor(message, details) {
+        super(ERROR_CODES.QUORUM_FAILED, message, details);
+        this.name = 'QuorumError';
+    }
+}
+
+/**
+ * Get the quorum settings for a request
+ *
+ * Configured per chain in rpcs.json through the optional rpcConsistency field, e.g.
+ * { "mode": "quorum", "quorumSize": 3, "minAgreement": 2, "pinDepth": 2 }.
+ * A consistency requested by the client ("quorum" or "single") overrides the chain mode.
+ *
+ * @param {Object} chain - The chain configuration
+ * @param {string|null} consistency - The consistency requested by the client
+ * @returns {Object|null} The quorum settings, or null if the request uses a single node
+ */
+function getQuorumConfig(chain, consistency) {
+    const config = (chain && chain.rpcConsistency) || {};
+    const mode = consistency || config.mode || CONSISTENCY_MODES.SINGLE;
+    if (mode !== CONSISTENCY_MODES.QUORUM) {
+        return null;
+    }
+
+    const size = Number.isInteger(config.quorumSize) && config.quorumSize > 1 ? config.quorumSize : DEFAULT_QUORUM_SIZE;
+    const majority = Math.floor(size / 2) + 1;
+    return {
+        size: size,
+        minAgreement: Number.isInteger(config.minAgreement) ? Math.min(Math.max(config.minAgreement, majority), size) : majority,
+        pinDepth: Number.isInteger(config.pinDepth) && config.pinDepth >= 0 ? config.pinDepth : DEFAULT_PIN_DEPTH
+    };
+}
+
+/**
+ * Check whether the result of a method depends on a block tag that has to be pinned
+ * @param {string} method - The RPC method
+ * @returns {boolean} True if the method takes a block tag
+ */
+function needsPinnedBlock(method) {
+    return method in BLOCK_TAG_METHODS;
+}
+
+/**
+ * Check whether quorum reads apply to a method
+ *
+ * Only reads of state at a block and of data by hash are compared across nodes. Other methods
+ * (writes, filters, or values like eth_blockNumber that legitimately differ between nodes)
+ * are sent to a single node.
+ *
+ * @param {string} method - The RPC method
+ * @returns {boolean} True if the method is read by quorum
+ */
+function isQuorumMethod(method) {
+    return needsPinnedBlock(method) || BY_HASH_METHODS.includes(method);
+}
+
+/**
+ * Replace a "latest" (or omitted) block tag in the params of a request with a pinned block
+ *
+ * Explicit block numbers, hashes and the other named tags are left untouched.
+ *
+ * @param {string} method - The RPC method
+ * @param {Array} params - The RPC params
+ * @param {string} blockTag - The pinned block as a hex quantity
+ * @returns {Array} The params to send to every node
+ */
+function pinBlockTag(method, params, blockTag) {
+    const pinned = Array.isArray(params) ? [...params] : [];
+    if (!needsPinnedBlock(method)) {
+        return pinned;
+    }
+
+    const position = BLOCK_TAG_METHODS[method];
+    const current = pinned[position];
+    if (current === undefined || current === null || current === 'latest') {
+        pinned[position] = blockTag;
+    }
+    return pinned;
+}
+
+/**
+ * Get the comparison key of a node answer
+ *
+ * Results are compared as JSON with hex strings lowercased. Errors returned by the nodes are
+ * answers too (e.g. a revert), compared by code and data since messages differ between clients.
+ *
+ * @param {Object} answer - The answer, either { result } or { error }
+ * @returns {string} The comparison key
+ */
+function getAnswerKey(answer) {
+    if (answer.error) {
+        return `error:${stableStringify({ code: answer.error.code, data: answer.error.data })}`;
+    }
+    return `result:${stableStringify(normalizeResult(answer.result))}`;
+}
+
+/**
+ * Normalize a result for comparison: BigInt to string, hex strings lowercased
+ * @param {any} value - The result
+ * @returns {any} The normalized result
+ */
+function normalizeResult(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (typeof value === 'string') {
+        return /^0x[0-9a-fA-F]*$/.test(value) ? value.toLowerCase() : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeResult);
+    }
+    if (value && typeof value === 'object') {
+        const normalized = {};
+        for (const key of Object.keys(value)) {
+            normalized[key] = normalizeResult(value[key]);
+        }
+        return normalized;
+    }
+    return value;
+}
+
+/**
+ * Group node answers by value and find the answer agreed on by enough nodes
+ * @param {Array<Object>} answers - The answers, each { url, result } or { url, error }
+ * @param {number} minAgreement - The number of nodes that must return the same answer
+ * @returns {Object} { agreed, answer, agreement, groups } where answer is the most common answer
+ */
+function tallyAnswers(answers, minAgreement) {
+    const groups = new Map();
+    for (const answer of answers) {
+        const key = getAnswerKey(answer);
+        if (!groups.has(key)) {
+            groups.set(key, { answer: answer, urls: [] });
+        }
+        groups.get(key).urls.push(answer.url);
+    }
+
+    const ranked = [...groups.values()].sort((a, b) => b.urls.length - a.urls.length);
+    const top = ranked[0];
+    return {
+        agreed: !!top && top.urls.length >= minAgreement,
+        answer: top ? top.answer : null,
+        agreement: top ? top.urls.length : 0,
+        groups: ranked
+    };
+}
+
+/**
+ * Build the error reported when quorum is not reached
+ * @param {Object} quorum - The quorum settings
+ * @param {number|null} blockNumber - The pinned block number
+ * @param {Object} tally - The result of tallyAnswers
+ * @param {Array<Object>} failures - Nodes that could not answer, each { url, error }
+ * @returns {QuorumError} The error
+ */
+function createQuorumError(quorum, blockNumber, tally, failures) {
+    const answered = tally.groups.reduce((count, group) => count + group.urls.length, 0);
+    const message = answered < quorum.minAgreement
+        ? `Quorum not reached: only ${answered} of ${quorum.size} nodes answered, ${quorum.minAgreement} must agree`
+        : `Quorum not reached: at most ${tally.agreement} of ${answered} nodes agreed, ${quorum.minAgreement} must agree`;
+
+    return new QuorumError(message, {
+        blockNumber: blockNumber,
+        required: quorum.minAgreement,
+        queried: answered + failures.length,
+        answers: tally.groups.map(group => ({
+            nodes: group.urls,
+            ...(group.answer.error
+                ? { error: { code: group.answer.error.code, message: group.answer.error.message, data: group.answer.error.data } }
+                : { result: normalizeResult(group.answer.result) })
+        })),
+        failures: failures.map(failure => ({ node: failure.url, error: failure.error.message }))
+    });
+}
+
+export {
+    CONSISTENCY_MODES,
+    QuorumError,
+    getQuorumConfig,
+    isQuorumMethod,
+    needsPinnedBlock,
+    pinBlockTag,
+    tallyAnswers,
+    createQuorumError
+};
\ No newline at end of file
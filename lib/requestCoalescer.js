@@ -0,0 +1,100 @@
+/**
+ * Request Coalescer
+ *
+ * This module lets identical concurrent requests (same chain, method and params) share a single
+ * upstream promise, so a burst of clients polling the same data results in one upstream call.
+ * It also keeps counters of how many calls were deduplicated.
+ */
+
+import { stableStringify } from './rpcCache';
+
+// Methods with side effects or per-call state, which must never share a result
+const NON_COALESCABLE_METHODS = [
+    'eth_sendRawTransaction',
+    'eth_sendTransaction',
+    'eth_newFilter',
+    'eth_newBlockFilter',
+    'eth_newPendingTransactionFilter',
+    'eth_getFilterChanges',
+    'eth_uninstallFilter',
+    'eth_subscribe',
+    'eth_unsubscribe'
+];
+
+// Promise of every request currently in flight, by coalescing key
+const inFlight = new Map();
+
+const coalescingStats = {
+    requests: 0,
+    upstreamCalls: 0,
+    deduplicated: 0,
+    byMethod: {}
+};
+
+/**
+ * Check whether identical concurrent calls of a JSON-RPC method may share one upstream call
+ * @param {string} method - The RPC method
+ * @returns {boolean} True if the method is safe to coalesce
+ */
+function isCoalescableMethod(method) {
+    return !NON_COALESCABLE_METHODS.includes(method) && !/^(personal_|eth_sign)/.test(method);
+}
+
+/**
+ * Build a coalescing key from the parts identifying a request
+ * @param {...any} parts - The scope, chain, method, params... of the request
+ * @returns {string} The coalescing key
+ */
+function getCoalescingKey(...parts) {
+    return parts.map(stableStringify).join(':');
+}
+
+/**
+ * Run a request, or join the identical request already in flight
+ * @param {string} key - The coalescing key (see getCoalescingKey)
+ * @param {string} label - The method name the request is counted under in the stats
+ * @param {Function} execute - Function performing the upstream call, returning a promise
+ * @returns {Promise<any>} The shared result of the request
+ */
+function coalesce(key, label, execute) {
+    const methodStats = coalescingStats.byMethod[label] || (coalescingStats.byMethod[label] = { requests: 0, deduplicated: 0 });
+    coalescingStats.requests++;
+    methodStats.requests++;
+
+    const pending = inFlight.get(key);
+    if (pending) {
+        coalescingStats.deduplicated++;
+        methodStats.deduplicated++;
+        return pending;
+    }
+
+    coalescingStats.upstreamCalls++;
+    const promise = Promise.resolve()
+        .then(execute)
+        .finally(() => {
+            inFlight.delete(key);
+        });
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Get request coalescing statistics
+ * @returns {Object} Total and per-method counters, and the number of requests in flight
+ */
+function getCoalescingStats() {
+    return {
+        requests: coalescingStats.requests,
+        upstreamCalls: coalescingStats.upstreamCalls,
+        deduplicated: coalescingStats.deduplicated,
+        inFlight: inFlight.size,
+        byMethod: coalescingStats.byMethod
+    };
+}
+
+export {
+    isCoalescableMethod,
+    getCoalescingKey,
+    coalesce,
+    getCoalescingStats
+};
\ No newline at end of file
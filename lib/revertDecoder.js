@@ -0,0 +1,180 @@
+/**
+ * Revert Decoder
+ *
+ * Helpers for extracting revert data from node and ethers errors and decoding the standard
+ * Solidity revert payloads, Error(string) and Panic(uint256), as well as the custom errors
+ * declared in a contract ABI.
+ */
+
+import { ethers } from 'ethers';
+import { ERROR_CODES, ProxyError, classifyError } from './errors';
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Descriptions of the Solidity panic codes
+const PANIC_REASONS = {
+    0x00: 'generic compiler panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array encoding',
+    0x31: 'pop on an empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to an uninitialized function'
+};
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Error raised when a contract call reverts, carrying the decoded revert as error data
+ */
+class ContractRevertError extends ProxyError {
+    /**
+     * @param {Object} revert - The decoded revert (see decodeRevertData)
+     */
+    constructor(revert) {
+        let message;
+        if (revert.reason !== null) {
+            message = `Contract call reverted: ${revert.reason}`;
+        } else if (revert.selector !== null) {
+            message = `Contract call reverted with unknown error ${revert.selector}`;
+        } else {
+            message = 'Contract call reverted without a reason';
+        }
+        super(ERROR_CODES.EXECUTION_REVERTED, message, revert);
+        this.name = 'ContractRevertError';
+        this.revert = revert;
+    }
+}
+
+/**
+ * Check whether an error means the call reverted, rather than a node or request failure
+ * @param {Error} error - The error raised for a call
+ * @returns {boolean} True if the call reverted
+ */
+function isRevertError(error) {
+    return classifyError(error) === ERROR_CODES.EXECUTION_REVERTED;
+}
+
+/**
+ * Convert decoded error arguments to JSON friendly values
+ * @param {any} value - The decoded value
+ * @returns {any} The value with BigInt values converted to decimal strings
+ */
+function formatErrorArg(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, formatErrorArg);
+    }
+    return value;
+}
+
+/**
+ * Find the revert data carried by an error
+ *
+ * Nodes return it in the JSON-RPC error data (as hex string, or nested in an object), ethers
+ * errors in their data field.
+ *
+ * @param {Error} error - The error raised for a reverted call
+ * @returns {string|null} The revert data as hex string, or null if the error carries none
+ */
+function extractRevertData(error) {
+    const candidates = [
+        error && error.data,
+        error && error.data && error.data.data,
+        error && error.error && error.error.data,
+        error && error.info && error.info.error && error.info.error.data
+    ];
+    for (const candidate of candidates) {
+        if (typeof candidate === 'string' && ethers.isHexString(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode revert data
+ *
+ * Error(string) and Panic(uint256) are always recognized, custom errors when the interface
+ * of the called contract declares them.
+ *
+ * @param {string|null} data - The revert data as hex string
+ * @param {ethers.Interface|null} contractInterface - The interface of the called contract, if known
+ * @returns {Object} { name, signature, reason, args, selector, data }, name is null when the payload is not recognized
+ */
+function decodeRevertData(data, contractInterface = null) {
+    if (!data || data === '0x') {
+        return { name: null, signature: null, reason: null, args: [], selector: null, data: data || '0x' };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    try {
+        if (selector === ERROR_SELECTOR) {
+            const [reason] = abiCoder.decode(['string'], ethers.dataSlice(data, 4));
+            return { name: 'Error', signature: 'Error(string)', reason: reason, args: [reason], selector: selector, data: data };
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [code] = abiCoder.decode(['uint256'], ethers.dataSlice(data, 4));
+            const description = PANIC_REASONS[Number(code)] || 'unknown panic code';
+            return {
+                name: 'Panic',
+                signature: 'Panic(uint256)',
+                reason: `Panic(0x${code.toString(16).padStart(2, '0')}): ${description}`,
+                args: [code.toString()],
+                selector: selector,
+                data: data
+            };
+        }
+        const parsed = contractInterface ? contractInterface.parseError(data) : null;
+        if (parsed) {
+            const args = formatErrorArg(parsed.args);
+            return {
+                name: parsed.name,
+                signature: parsed.signature,
+                reason: `${parsed.name}(${args.join(', ')})`,
+                args: args,
+                selector: selector,
+                data: data
+            };
+        }
+    } catch (error) {
+        // 数据格式不正确时按未知错误返回
+    }
+
+    return { name: null, signature: null, reason: null, args: [], selector: selector, data: data };
+}
+
+/**
+ * Decode the revert reason of a failed call
+ *
+ * Falls back to the reason embedded in the error message ("execution reverted: ...") when
+ * the node returned no revert data.
+ *
+ * @param {Error} error - The error raised for a reverted call
+ * @param {ethers.Interface|null} contractInterface - The interface of the called contract, if known
+ * @returns {Object} The decoded revert (see decodeRevertData)
+ */
+function decodeRevertError(error, contractInterface = null) {
+    const decoded = decodeRevertData(extractRevertData(error), contractInterface);
+    if (decoded.reason === null && error && typeof error.message === 'string') {
+        const match = error.message.match(/execution reverted:\s*(.*)$/i);
+        if (match && match[1]) {
+            decoded.reason = match[1];
+        }
+    }
+    return decoded;
+}
+
+export {
+    ContractRevertError,
+    isRevertError,
+    extractRevertData,
+    decodeRevertData,
+    decodeRevertError
+};
\ No newline at end of file
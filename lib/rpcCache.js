@@ -0,0 +1,452 @@
+/**
+ * RPC Response Cache
+ *
+ * This module caches raw JSON-RPC results keyed by chain, method and params. Results that can
+ * never change (chain ID, blocks by hash, mined receipts, state at a finalized block) are kept
+ * indefinitely, results tagged with "latest" for about one block time, and write or otherwise
+ * stateful methods are never cached. The storage backend is pluggable: an in-memory LRU by
+ * default, or any KV-style namespace (get/put/delete with expirationTtl).
+ */
+
+import { getChainHead } from './nodeHealth';
+
+// Default seconds between blocks, used as TTL for results at the chain head
+const DEFAULT_BLOCK_TIME = 2;
+
+// Default number of blocks after which a block is treated as final (no reorg)
+const DEFAULT_FINALITY_DEPTH = 64;
+
+// Maximum number of entries kept by the in-memory backend
+const MEMORY_CACHE_MAX_ENTRIES = 5000;
+
+// KV stores do not accept shorter expirations, entries carry their own expiry instead
+const KV_MIN_EXPIRATION_TTL = 60;
+
+// Lifetime of "immutable" entries in backends that need an expiration anyway
+const IMMUTABLE_TTL = Infinity;
+
+// Methods whose result never changes for a chain
+const CHAIN_CONSTANT_METHODS = ['eth_chainId', 'net_version'];
+
+// Methods addressing data by hash, cacheable once the data is mined
+const BY_HASH_METHODS = [
+    'eth_getBlockByHash',
+    'eth_getTransactionByHash',
+    'eth_getTransactionReceipt',
+    'eth_getBlockTransactionCountByHash',
+    'eth_getTransactionByBlockHashAndIndex'
+];
+
+// Methods taking a block tag, with the position of the block tag in params
+const BLOCK_TAG_METHODS = {
+    eth_getBalance: 1,
+    eth_getCode: 1,
+    eth_getTransactionCount: 1,
+    eth_getStorageAt: 2,
+    eth_call: 1,
+    eth_getBlockByNumber: 0,
+    eth_getBlockTransactionCountByNumber: 0,
+    eth_getTransactionByBlockNumberAndIndex: 0
+};
+
+// Methods that only depend on the chain head
+const HEAD_METHODS = ['eth_blockNumber', 'eth_gasPrice', 'eth_maxPriorityFeePerGas', 'eth_blobBaseFee'];
+
+const cacheStats = {
+    hits: 0,
+    misses: 0,
+    stores: 0
+};
+
+let cacheBackend = null;
+
+/**
+ * Create an in-memory cache backend with least-recently-used eviction
+ * @param {number} maxEntries - Maximum number of entries (default: MEMORY_CACHE_MAX_ENTRIES)
+ * @returns {Object} A cache backend with get(key), set(key, value, ttlSeconds) and delete(key)
+ */
+function createMemoryCacheBackend(maxEntries = MEMORY_CACHE_MAX_ENTRIES) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            // Re-insert to mark the entry as recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            entries.delete(key);
+            if (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { value: value, expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+/**
+ * Create a cache backend on top of a KV-style namespace
+ *
+ * The namespace follows the Cloudflare Workers KV interface: get(key), put(key, value,
+ * { expirationTtl }) and delete(key), with string values.
+ *
+ * @param {Object} namespace - The KV namespace
+ * @returns {Object} A cache backend with get(key), set(key, value, ttlSeconds) and delete(key)
+ */
+function createKvCacheBackend(namespace) {
+    return {
+        name: 'kv',
+        async get(key) {
+            const raw = await namespace.get(key);
+            if (raw === null || raw === undefined) {
+                return undefined;
+            }
+            const entry = JSON.parse(raw);
+            if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+                return undefined;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            const finite = Number.isFinite(ttlSeconds);
+            const entry = {
+                value: value,
+                expiresAt: finite ? Date.now() + ttlSeconds * 1000 : null
+            };
+            const options = finite ? { expirationTtl: Math.max(Math.ceil(ttlSeconds), KV_MIN_EXPIRATION_TTL) } : {};
+            await namespace.put(key, JSON.stringify(entry), options);
+        },
+        async delete(key) {
+            await namespace.delete(key);
+        }
+    };
+}
+
+/**
+ * Create a local stand-in for a KV namespace, for development and tests
+ *
+ * Values are kept in memory as strings and honour expirationTtl, like a real KV namespace.
+ *
+ * @returns {Object} A KV namespace with get(key), put(key, value, options) and delete(key)
+ */
+function createLocalKvNamespace() {
+    const values = new Map();
+
+    return {
+        async get(key) {
+            const entry = values.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+                values.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async put(key, value, options = {}) {
+            const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+            values.set(key, { value: String(value), expiresAt: expiresAt });
+        },
+        async delete(key) {
+            values.delete(key);
+        }
+    };
+}
+
+/**
+ * Set the backend used to store cached results
+ * @param {Object|null} backend - A cache backend, or null to disable caching
+ */
+function setCacheBackend(backend) {
+    cacheBackend = backend;
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal params give equal cache keys
+ * @param {any} value - The value to serialize
+ * @returns {string} The stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Build the cache key of a request
+ * @param {number} chainId - The chain ID
+ * @param {string} method - The RPC method
+ * @param {Array|Object} params - The RPC params
+ * @returns {string} The cache key
+ */
+function getCacheKey(chainId, method, params) {
+    return `rpc:${chainId}:${method}:${stableStringify(params === undefined ? [] : params)}`;
+}
+
+/**
+ * Get the caching settings of a chain from rpcs.json
+ * @param {Object} chain - The chain configuration
+ * @returns {Object} The block time (seconds) and finality depth (blocks)
+ */
+function getChainCacheConfig(chain) {
+    return {
+        blockTime: chain.blockTime || DEFAULT_BLOCK_TIME,
+        finalityDepth: Number.isInteger(chain.finalityDepth) ? chain.finalityDepth : DEFAULT_FINALITY_DEPTH
+    };
+}
+
+/**
+ * Get the TTL for data at a specific block number
+ * @param {Object} chain - The chain configuration
+ * @param {number} blockNumber - The block number the data belongs to
+ * @returns {number} Infinity for finalized blocks, one block time otherwise
+ */
+function getBlockNumberTtl(chain, blockNumber) {
+    const { blockTime, finalityDepth } = getChainCacheConfig(chain);
+    const head = getChainHead(chain.chainId);
+    if (head !== null && blockNumber <= head - finalityDepth) {
+        return IMMUTABLE_TTL;
+    }
+    return blockTime;
+}
+
+/**
+ * Get the TTL for a block tag parameter
+ * @param {Object} chain - The chain configuration
+ * @param {any} blockTag - The block tag (name, hex number or EIP-1898 object)
+ * @returns {number|null} The TTL in seconds, or null if the result must not be cached
+ */
+function getBlockTagTtl(chain, blockTag) {
+    const { blockTime } = getChainCacheConfig(chain);
+
+    if (blockTag === undefined || blockTag === null || blockTag === 'latest' || blockTag === 'safe' || blockTag === 'finalized') {
+        return blockTime;
+    }
+    if (blockTag === 'pending') {
+        return null;
+    }
+    if (blockTag === 'earliest') {
+        return IMMUTABLE_TTL;
+    }
+    if (typeof blockTag === 'object') {
+        // EIP-1898: a block hash always points to the same block
+        if (blockTag.blockHash) {
+            return IMMUTABLE_TTL;
+        }
+        return getBlockTagTtl(chain, blockTag.blockNumber);
+    }
+    if (typeof blockTag === 'string' && /^0x[0-9a-fA-F]+$/.test(blockTag)) {
+        return getBlockNumberTtl(chain, parseInt(blockTag, 16));
+    }
+    return null;
+}
+
+/**
+ * Get how long the result of a request may be cached
+ * @param {Object} chain - The chain configuration
+ * @param {string} method - The RPC method
+ * @param {Array|Object} params - The RPC params
+ * @param {any} result - The result returned by the node
+ * @returns {number|null} The TTL in seconds (Infinity for immutable results), or null if not cacheable
+ */
+function getCacheTtl(chain, method, params, result) {
+    // A missing block, transaction or receipt may still appear
+    if (result === null || result === undefined) {
+        return null;
+    }
+
+    const args = Array.isArray(params) ? params : [];
+
+    if (CHAIN_CONSTANT_METHODS.includes(method)) {
+        return IMMUTABLE_TTL;
+    }
+
+    if (BY_HASH_METHODS.includes(method)) {
+        // Pending transactions change once mined, recent blocks may still be reorganized
+        if (result && typeof result === 'object' && 'blockNumber' in result) {
+            if (!result.blockNumber) {
+                return null;
+            }
+            return getBlockNumberTtl(chain, parseInt(result.blockNumber, 16));
+        }
+        if (result && typeof result === 'object' && 'number' in result && result.number) {
+            return getBlockNumberTtl(chain, parseInt(result.number, 16));
+        }
+        return getChainCacheConfig(chain).blockTime;
+    }
+
+    if (method in BLOCK_TAG_METHODS) {
+        return getBlockTagTtl(chain, args[BLOCK_TAG_METHODS[method]]);
+    }
+
+    if (method === 'eth_getLogs') {
+        const filter = args[0] || {};
+        if (filter.blockHash) {
+            return IMMUTABLE_TTL;
+        }
+        const toTtl = getBlockTagTtl(chain, filter.toBlock);
+        const fromTtl = getBlockTagTtl(chain, filter.fromBlock);
+        return toTtl === null || fromTtl === null ? null : Math.min(toTtl, fromTtl);
+    }
+
+    if (HEAD_METHODS.includes(method)) {
+        return getChainCacheConfig(chain).blockTime;
+    }
+
+    // Writes, filters, subscriptions and unknown methods are never cached
+    return null;
+}
+
+/**
+ * Look up a cached result
+ * @param {Object} chain - The chain configuration
+ * @param {string} method - The RPC method
+ * @param {Array|Object} params - The RPC params
+ * @returns {Promise<{hit: boolean, result: any}>} Whether the result was cached, and the result
+ */
+async function getCachedResult(chain, method, params) {
+    if (!cacheBackend) {
+        return { hit: false, result: undefined };
+    }
+
+    try {
+        const result = await cacheBackend.get(getCacheKey(chain.chainId, method, params));
+        if (result !== undefined) {
+            cacheStats.hits++;
+            return { hit: true, result: result };
+        }
+    } catch (error) {
+        console.warn('RPC cache read failed:', error.message);
+    }
+
+    cacheStats.misses++;
+    return { hit: false, result: undefined };
+}
+
+/**
+ * Store a result in the cache when its method, params and value allow it
+ * @param {Object} chain - The chain configuration
+ * @param {string} method - The RPC method
+ * @param {Array|Object} params - The RPC params
+ * @param {any} result - The result returned by the node
+ * @returns {Promise<void>}
+ */
+async function cacheResult(chain, method, params, result) {
+    if (!cacheBackend) {
+        return;
+    }
+
+    const ttl = getCacheTtl(chain, method, params, result);
+    if (ttl === null) {
+        return;
+    }
+
+    try {
+        await cacheBackend.set(getCacheKey(chain.chainId, method, params), result, ttl);
+        cacheStats.stores++;
+    } catch (error) {
+        console.warn('RPC cache write failed:', error.message);
+    }
+}
+
+/**
+ * Read a value stored under an application key, outside of the RPC result namespace
+ * @param {string} key - The key, e.g. token:1:0x...
+ * @returns {Promise<any>} The cached value, or undefined on a miss
+ */
+async function getCachedValue(key) {
+    if (!cacheBackend) {
+        return undefined;
+    }
+
+    try {
+        const value = await cacheBackend.get(`app:${key}`);
+        if (value !== undefined) {
+            cacheStats.hits++;
+            return value;
+        }
+    } catch (error) {
+        console.warn('Cache read failed:', error.message);
+    }
+
+    cacheStats.misses++;
+    return undefined;
+}
+
+/**
+ * Store a value under an application key
+ * @param {string} key - The key, e.g. token:1:0x...
+ * @param {any} value - The JSON-serializable value
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<void>}
+ */
+async function cacheValue(key, value, ttlSeconds) {
+    if (!cacheBackend) {
+        return;
+    }
+
+    try {
+        await cacheBackend.set(`app:${key}`, value, ttlSeconds);
+        cacheStats.stores++;
+    } catch (error) {
+        console.warn('Cache write failed:', error.message);
+    }
+}
+
+/**
+ * Get cache hit/miss statistics
+ * @returns {Object} The backend name and counters
+ */
+function getCacheStats() {
+    return {
+        backend: cacheBackend ? cacheBackend.name : null,
+        ...cacheStats
+    };
+}
+
+// Select the cache backend: "memory" (default), "kv" (local KV stand-in) or "none"
+switch (process.env.RPC_CACHE_BACKEND) {
+    case 'none':
+        setCacheBackend(null);
+        break;
+    case 'kv':
+        setCacheBackend(createKvCacheBackend(createLocalKvNamespace()));
+        break;
+    default:
+        setCacheBackend(createMemoryCacheBackend());
+}
+
+export {
+    createMemoryCacheBackend,
+    createKvCacheBackend,
+    createLocalKvNamespace,
+    setCacheBackend,
+    getCacheTtl,
+    getCachedResult,
+    cacheResult,
+    getCachedValue,
+    cacheValue,
+    getCacheStats,
+    stableStringify,
+    getChainCacheConfig,
+    BLOCK_TAG_METHODS
+};
\ No newline at end of file
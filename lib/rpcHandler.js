@@ -7,6 +7,73 @@
 
 import axios from 'axios';
 import { ethers } from 'ethers';
+import {
+    recordNodeSuccess,
+    recordNodeFailure,
+    selectHealthyNode,
+    getHealthyNodes,
+    recordNodeHead,
+    getChainHead,
+    getNodeHealth,
+    loadNodeHealth,
+    SELECTION_STRATEGIES,
+    DEFAULT_MAX_BLOCK_LAG
+} from './nodeHealth';
+import { getCachedResult, cacheResult } from './rpcCache';
+import {
+    CONSISTENCY_MODES,
+    getQuorumConfig,
+    isQuorumMethod,
+    needsPinnedBlock,
+    pinBlockTag,
+    tallyAnswers,
+    createQuorumError
+} from './quorum';
+import { isCoalescableMethod, getCoalescingKey, coalesce } from './requestCoalescer';
+import { recordSubmittedTransaction } from './txRegistry';
+import { ContractRevertError, isRevertError, decodeRevertData, decodeRevertError } from './revertDecoder';
+import { loadAbiRegistry, getContractAbi, getContractNames, getBoundContractName } from './abiRegistry';
+import { isInlineAbiName, getInlineAbi } from './inlineAbi';
+import { findContractFunction, coerceFunctionArgs, resolveNumberFormat, formatFunctionResult, getReturnType } from './contractAbi';
+import { ERROR_CODES, ProxyError, classifyError, classifyHttpStatus, isRetryableError, toJsonRpcError, createErrorBody } from './errors';
+import { isHistoricalBlockTag, isArchiveNode, recordMissingState, isPrunedNode, filterStateNodes } from './archiveNodes';
+import {
+    MAX_MULTICALL_CALLS,
+    MULTICALL_BATCH_SIZE,
+    MULTICALL_FALLBACK_CONCURRENCY,
+    MulticallCallError,
+    getMulticallAddress,
+    encodeAggregate3,
+    decodeAggregate3
+} from './multicall';
+import {
+    LOGS_ERROR_KINDS,
+    LOG_CHUNK_CONCURRENCY,
+    DEFAULT_PAGE_BLOCK_RANGE,
+    MAX_PAGE_BLOCK_RANGE,
+    DEFAULT_PAGE_LIMIT,
+    MAX_PAGE_LIMIT,
+    getLogsConfig,
+    getNodeBlockRange,
+    recordBlockRangeLimit,
+    classifyLogsError,
+    isSplittableLogsRequest,
+    resolveBlockBound,
+    createChunkFilter,
+    sortLogs,
+    trimLogsPage,
+    encodeLogsCursor,
+    decodeLogsCursor,
+    getPageOption
+} from './logRange';
+import {
+    JsonRpcError,
+    validateJsonRpcRequest,
+    isNotification,
+    getRequestId,
+    createResultResponse,
+    createErrorResponse
+} from './jsonRpc';
 
 // Load RPC configuration
 import rpcConfig from './rpcs.json';
@@ -14,326 +81,1587 @@ import rpcConfig from './rpcs.json';
 // Load ABI configuration
 import abiConfig from './abi.json';
 
+// Maximum number of requests sent to a node in a single upstream batch
+const MAX_UPSTREAM_BATCH_SIZE = 20;
+
+// Number of nodes a raw transaction is broadcast to in parallel
+const BROADCAST_NODE_COUNT = 3;
+
+// Node errors meaning the node already has the transaction
+const KNOWN_TRANSACTION_PATTERN = /already known|known transaction|already imported|already exists|already in mempool/i;
+const NONCE_TOO_LOW_PATTERN = /nonce too low/i;
+
+// Transports of RPC node URLs: http(s):// nodes serve requests, ws(s):// nodes serve subscriptions
+const RPC_TRANSPORTS = {
+    HTTP: 'http',
+    WS: 'ws'
+};
+
+// Background refresh of node heads for block lag detection
+const HEAD_REFRESH_INTERVAL_MS = 15 * 1000;
+const HEAD_PROBE_COUNT = 5;
+
+// Last head refresh time per chain
+const headRefreshes = new Map();
+
+// Whether Multicall3 is deployed, by chain ID and Multicall3 address
+const multicallDeployments = new Map();
+
+/**
+ * Post a raw JSON-RPC payload to an RPC node
+ * @param {string} rpcUrl - The RPC URL to send the payload to
+ * @param {Object|Array} payload - The JSON-RPC request or batch to send
+ * @param {number} timeout - Timeout in milliseconds (default: 10000)
+ * @returns {Promise<Object>} The axios response, for any HTTP status
+ */
+async function postJsonRpc(rpcUrl, payload, timeout = 10000) {
+    return axios.post(rpcUrl, payload, {
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'User-Agent': 'BestProxyWallet/1.0'
+        },
+        timeout: timeout,
+        validateStatus: () => true
+    });
+}
+
+/**
+ * Fetch the latest block number from an RPC node
+ * @param {string} rpcUrl - The RPC URL to query
+ * @param {number} timeout - Timeout in milliseconds (default: 2000)
+ * @returns {Promise<number>} The latest block number
+ * @throws {Error} If the node does not answer with a valid block number
+ */
+async function fetchBlockNumber(rpcUrl, timeout = 2000) {
+    const response = await postJsonRpc(rpcUrl, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'eth_blockNumber',
+        params: []
+    }, timeout);
+    assertNodeResponseStatus(rpcUrl, response);
+
+    const blockNumber = Number(unwrapRpcResponse(rpcUrl, response.data));
+    if (!Number.isSafeInteger(blockNumber)) {
+        throw new ProxyError(ERROR_CODES.UPSTREAM_BAD_RESPONSE, `RPC node ${rpcUrl} returned an invalid response`);
+    }
+    return blockNumber;
+}
+
 /**
- * Check if an RPC node is available and responsive
- * @param {string} rpcUrl - The RPC URL to check
- * @param {number} timeout - Timeout in milliseconds (default: 5000)
- * @returns {Promise<boolean>} True if the RPC node is available
+ * Query the head block of a node and record the outcome in the node health registry
+ * @param {Object} chain - The chain configuration
+ * @param {string} rpcUrl - The RPC URL to probe
+ * @returns {Promise<boolean>} True if the node answered
  */
-async function isRpcAvailable(rpcUrl, timeout = 1000) {
+async function probeNodeHead(chain, rpcUrl) {
+    const startedAt = Date.now();
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-        // 使用动态ID避免并发请求冲突
-        const dynamicId = Date.now() + Math.random();
-
-        const response = await axios.post(rpcUrl, {
-            jsonrpc: '2.0',
-            method: 'eth_blockNumber',
-            params: [],
-            id: dynamicId
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'User-Agent': 'BestProxyWallet/1.0'
-            },
-            signal: controller.signal,
-            timeout: timeout
-        });
+        const blockNumber = await fetchBlockNumber(rpcUrl);
+        recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+        recordNodeHead(chain.chainId, rpcUrl, blockNumber);
+        return true;
+    } catch (error) {
+        console.warn(`RPC node ${rpcUrl} probe failed: ${error.message}`);
+        recordNodeFailure(rpcUrl, error);
+        return false;
+    }
+}
 
-        clearTimeout(timeoutId);
+/**
+ * Refresh the observed heads of a sample of healthy nodes in the background
+ *
+ * Runs at most once per HEAD_REFRESH_INTERVAL_MS per chain and is never awaited, so lagging
+ * nodes are detected without adding a round trip to the request that triggered it.
+ *
+ * @param {Object} chain - The chain configuration
+ */
+function scheduleHeadRefresh(chain) {
+    const now = Date.now();
+    if (now - (headRefreshes.get(chain.chainId) || 0) < HEAD_REFRESH_INTERVAL_MS) {
+        return;
+    }
+    headRefreshes.set(chain.chainId, now);
 
-        // 检查响应ID是否匹配
-        if (response.data.id !== dynamicId) {
-            console.warn(`RPC node ${rpcUrl} returned ID mismatch - marking as unavailable`);
-            return false;
-        }
+    // Probe a random sample so every node is compared with the chain head over time
+    const urls = getHealthyNodes(getChainUrls(chain, RPC_TRANSPORTS.HTTP))
+        .sort(() => Math.random() - 0.5)
+        .slice(0, HEAD_PROBE_COUNT);
 
-        // 检查成功响应
-        if (response.status === 200 && response.data && response.data.result !== undefined) {
-            return true;
-        }
+    Promise.all(urls.map(url => probeNodeHead(chain, url))).catch(error => {
+        console.warn(`Head refresh failed for chain ${chain.chainId}:`, error.message);
+    });
+}
 
-        // 处理特定错误情况
-        if (response.status === 406) {
-            console.warn(`RPC node ${rpcUrl} returned 406 Not Acceptable - marking as unavailable`);
-        } else if (response.status === 402) {
-            console.warn(`RPC node ${rpcUrl} returned 402 Payment Required - marking as unavailable`);
-        } else if (response.status === 400) {
-            console.warn(`RPC node ${rpcUrl} returned 400 Bad Request - marking as unavailable`);
-        } else if (response.status >= 400) {
-            console.warn(`RPC node ${rpcUrl} returned HTTP ${response.status} - marking as unavailable`);
-        }
+/**
+ * Record a block number returned by a node for an eth_blockNumber request
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} rpcUrl - The RPC URL that answered
+ * @param {string} method - The RPC method that was called
+ * @param {any} result - The result returned by the node
+ */
+function observeNodeHead(chainId, rpcUrl, method, result) {
+    if (method !== 'eth_blockNumber') {
+        return;
+    }
+    const chain = getChainConfig(chainId);
+    if (chain) {
+        recordNodeHead(chain.chainId, rpcUrl, Number(result));
+    }
+}
 
-        return false;
-    } catch (error) {
-        // 处理不同类型的错误
-        if (error.code === 'ECONNABORTED') {
-            console.warn(`RPC node ${rpcUrl} timeout - marking as unavailable`);
-        } else if (error.response) {
-            // HTTP错误响应
-            const status = error.response.status;
-            if (status === 406) {
-                console.warn(`RPC node ${rpcUrl} returned 406 Not Acceptable - marking as unavailable`);
-            } else if (status === 402) {
-                console.warn(`RPC node ${rpcUrl} returned 402 Payment Required - marking as unavailable`);
-            } else if (status === 400) {
-                console.warn(`RPC node ${rpcUrl} returned 400 Bad Request - marking as unavailable`);
-            } else if (status >= 400) {
-                console.warn(`RPC node ${rpcUrl} returned HTTP ${status} - marking as unavailable`);
-            }
-        } else if (error.request) {
-            // 网络错误
-            console.warn(`RPC node ${rpcUrl} network error - marking as unavailable`);
-        } else {
-            // 其他错误
-            console.warn(`RPC node ${rpcUrl} error: ${error.message} - marking as unavailable`);
+/**
+ * Probe all RPC nodes of a chain and record the results in the node health registry
+ *
+ * Node selection never probes on the hot path, this is only used for explicit health checks.
+ * WebSocket nodes are not probed.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {number} concurrency - Maximum number of concurrent probes (default: 10)
+ * @returns {Promise<void>}
+ * @throws {Error} If chain configuration is not found
+ */
+async function probeChainNodes(chainId, concurrency = 10) {
+    const chain = getChainConfig(chainId);
+    if (!chain) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Configuration not found for chain ID ${chainId}`);
+    }
+
+    const queue = getChainUrls(chain, RPC_TRANSPORTS.HTTP);
+    const worker = async () => {
+        while (queue.length > 0) {
+            await probeNodeHead(chain, queue.shift());
         }
-        return false;
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+}
+
+/**
+ * Get the node health registry status of every RPC node of a chain
+ *
+ * Each node also reports whether it is flagged as archive node and whether it failed a read
+ * because it lacks historical state (see archiveNodes).
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @returns {Object} The chain head and one status object per node
+ * @throws {Error} If chain configuration is not found
+ */
+function getChainNodeStatus(chainId) {
+    const chain = getChainConfig(chainId);
+    if (!chain) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Configuration not found for chain ID ${chainId}`);
     }
+
+    const selection = getSelectionConfig(chain);
+    return {
+        chainHead: getChainHead(chain.chainId),
+        maxBlockLag: selection.maxBlockLag,
+        nodes: getNodeHealth(chain.rpc.map(r => r.url), {
+            chainId: chain.chainId,
+            maxBlockLag: selection.maxBlockLag
+        }).map(node => ({
+            ...node,
+            archive: isArchiveNode(chain, node.url),
+            missingState: isPrunedNode(node.url)
+        }))
+    };
+}
+
+/**
+ * Get the RPC node URLs of a chain that use a transport
+ * @param {Object} chain - The chain configuration
+ * @param {string} transport - One of RPC_TRANSPORTS (default: http)
+ * @returns {Array<string>} The RPC URLs
+ */
+function getChainUrls(chain, transport = RPC_TRANSPORTS.HTTP) {
+    return chain.rpc
+        .map(r => r.url)
+        .filter(url => /^wss?:\/\//i.test(url) === (transport === RPC_TRANSPORTS.WS));
+}
+
+/**
+ * Find the configuration of a chain
+ * @param {number|string} chainId - The chain ID or network ID
+ * @returns {Object|undefined} The chain configuration
+ */
+function getChainConfig(chainId) {
+    return rpcConfig.find(c => c.chainId === chainId || c.networkId === chainId);
+}
+
+/**
+ * Get the node selection settings of a chain
+ *
+ * Configured per chain in rpcs.json through the optional rpcSelection field, e.g.
+ * { "strategy": "latency", "sticky": true, "stickyTtlSeconds": 300, "maxBlockLag": 3 }.
+ *
+ * @param {Object} chain - The chain configuration
+ * @returns {Object} The selection settings with defaults applied
+ */
+function getSelectionConfig(chain) {
+    const selection = chain.rpcSelection || {};
+    return {
+        strategy: selection.strategy || SELECTION_STRATEGIES.LATENCY,
+        sticky: selection.sticky === true,
+        stickyTtlMs: (selection.stickyTtlSeconds || 300) * 1000,
+        maxBlockLag: Number.isInteger(selection.maxBlockLag) ? selection.maxBlockLag : DEFAULT_MAX_BLOCK_LAG
+    };
+}
+
+/**
+ * Get a session key identifying the calling client for sticky node routing
+ *
+ * Clients can pass an explicit X-Session-Id header, otherwise the client IP is used.
+ *
+ * @param {Object} req - The HTTP request object
+ * @returns {string|null} The session key
+ */
+function getClientSessionKey(req) {
+    const sessionId = req.headers && req.headers['x-session-id'];
+    if (sessionId) {
+        return String(sessionId);
+    }
+
+    const forwardedFor = req.headers && req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+        return String(forwardedFor).split(',')[0].trim();
+    }
+
+    return (req.socket && req.socket.remoteAddress) || null;
+}
+
+/**
+ * Get the read consistency requested by the calling client
+ *
+ * Clients opt in to quorum reads with the X-Rpc-Consistency header ("quorum"), or opt out
+ * of a chain's quorum mode with "single".
+ *
+ * @param {Object} req - The HTTP request object
+ * @returns {string|null} The requested consistency mode, or null to use the chain default
+ */
+function getClientConsistency(req) {
+    const consistency = req.headers && req.headers['x-rpc-consistency'];
+    if (!consistency) {
+        return null;
+    }
+    const mode = String(consistency).trim().toLowerCase();
+    return Object.values(CONSISTENCY_MODES).includes(mode) ? mode : null;
 }
 
 /**
  * Get RPC URL for a specific chain with automatic node selection
+ *
+ * Nodes are selected from the node health registry, skipping nodes whose circuit is open,
+ * without probing them first. Nodes lagging behind the head of the chain
+ * are avoided. The selection strategy (latency-weighted or random), sticky routing and the
+ * allowed block lag are configured per chain in rpcs.json.
+ * Only http(s):// nodes are returned, unless the WebSocket transport is requested. Reads of
+ * historical state skip nodes known to lack it, and archive reads only go to archive nodes
+ * (see filterStateNodes).
+ *
  * @param {number|string} chainId - The chain ID or network ID
+ * @param {Object} options - Optional selection options
+ * @param {Set<string>|Array<string>} options.exclude - URLs that must not be selected (e.g. already tried)
+ * @param {string} options.sessionKey - Client session key, used when the chain has sticky routing enabled
+ * @param {string} options.transport - One of RPC_TRANSPORTS, http(s) nodes by default
+ * @param {boolean} options.historical - Whether the request reads state at a historical block
+ * @param {boolean} options.archive - Whether the request must be served by an archive node
  * @returns {Promise<string>} The available RPC URL
  * @throws {Error} If no available RPC nodes are found
  */
-async function getRpcUrl(chainId) {
-    const chain = rpcConfig.find(c => c.chainId === chainId || c.networkId === chainId);
+async function getRpcUrl(chainId, options = {}) {
+    const chain = getChainConfig(chainId);
     if (!chain) {
-        throw new Error(`Configuration not found for chain ID ${chainId}`);
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Configuration not found for chain ID ${chainId}`);
+    }
+
+    await loadNodeHealth();
+    scheduleHeadRefresh(chain);
+
+    const selection = getSelectionConfig(chain);
+    const transport = options.transport || RPC_TRANSPORTS.HTTP;
+    let urls = getChainUrls(chain, transport);
+    if (options.historical || options.archive) {
+        urls = filterStateNodes(chain, urls, Boolean(options.archive));
+        if (urls.length === 0) {
+            throw new ProxyError(ERROR_CODES.NO_AVAILABLE_NODES, `No archive RPC nodes for chain ${chain.name} (${chainId})`);
+        }
+    }
+    const rpcUrl = selectHealthyNode(urls, {
+        exclude: options.exclude,
+        strategy: selection.strategy,
+        stickyKey: selection.sticky && options.sessionKey ? `${chain.chainId}:${options.sessionKey}` : null,
+        stickyTtlMs: selection.stickyTtlMs,
+        chainId: chain.chainId,
+        maxBlockLag: selection.maxBlockLag
+    });
+    if (!rpcUrl) {
+        throw new ProxyError(ERROR_CODES.NO_AVAILABLE_NODES, `No available ${transport === RPC_TRANSPORTS.WS ? 'WebSocket ' : ''}RPC nodes for chain ${chain.name} (${chainId})`);
+    }
+
+    return rpcUrl;
+}
+
+/**
+ * ethers.js JsonRpcProvider that serves requests from the RPC response cache when possible
+ *
+ * Cached results are answered locally, only the remaining requests of a batch are sent to
+ * the node, and cacheable results returned by the node are stored.
+ */
+class CachingJsonRpcProvider extends ethers.JsonRpcProvider {
+    /**
+     * @param {string} rpcUrl - The RPC URL
+     * @param {Object} chain - The chain configuration
+     */
+    constructor(rpcUrl, chain) {
+        const network = ethers.Network.from(chain.chainId);
+        super(rpcUrl, network, { staticNetwork: network });
+        this.chain = chain;
     }
 
-    // Get all RPC node URLs
-    const rpcUrls = chain.rpc.map(r => r.url);
+    async _send(payload) {
+        const payloads = Array.isArray(payload) ? payload : [payload];
+        const responses = new Array(payloads.length);
+        const misses = [];
 
-    // Randomly shuffle RPC node order for load balancing
-    const shuffledUrls = [...rpcUrls].sort(() => Math.random() - 0.5);
+        await Promise.all(payloads.map(async (item, index) => {
+            const cached = await getCachedResult(this.chain, item.method, item.params);
+            if (cached.hit) {
+                responses[index] = { id: item.id, result: cached.result };
+            } else {
+                misses.push(index);
+            }
+        }));
 
-    // Concurrent check for 3 RPC nodes
-    const checkNodes = async () => {
-        // Take first 3 nodes for concurrent checking
-        const nodesToCheck = shuffledUrls.slice(0, 3);
+        if (misses.length > 0) {
+            // A single request is sent as a plain object, like ethers does, for nodes without batch support
+            const upstream = await super._send(misses.length === 1 ? payloads[misses[0]] : misses.map(index => payloads[index]));
+            for (const response of upstream) {
+                const index = misses.find(i => payloads[i].id === response.id);
+                if (index === undefined) {
+                    continue;
+                }
+                responses[index] = response;
+                if ('result' in response) {
+                    await cacheResult(this.chain, payloads[index].method, payloads[index].params, response.result);
+                }
+            }
+        }
 
-        // Create promises for all 3 nodes
-        const promises = nodesToCheck.map(async (url) => {
+        return responses.filter(response => response !== undefined);
+    }
+}
+
+/**
+ * Create ethers.js JsonRpcProvider for a specific RPC node
+ *
+ * The network is pinned to the configured chain so the provider does not send an extra
+ * eth_chainId request before the actual call, and requests go through the response cache.
+ *
+ * @param {string} rpcUrl - The RPC URL
+ * @param {number|string} chainId - The chain ID or network ID
+ * @returns {ethers.JsonRpcProvider} The RPC provider instance
+ */
+function createProviderForUrl(rpcUrl, chainId) {
+    const chain = getChainConfig(chainId);
+    if (!chain) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Configuration not found for chain ID ${chainId}`);
+    }
+    return new CachingJsonRpcProvider(rpcUrl, chain);
+}
+
+/**
+ * Create ethers.js JsonRpcProvider with automatic node selection
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Object} options - Optional selection options passed to getRpcUrl
+ * @returns {Promise<ethers.JsonRpcProvider>} The RPC provider instance
+ */
+async function createRpcProvider(chainId, options = {}) {
+    const rpcUrl = await getRpcUrl(chainId, options);
+    return createProviderForUrl(rpcUrl, chainId);
+}
+
+/**
+ * Record the outcome of a failed request in the node health registry
+ *
+ * Only node errors count against the node, caller errors (e.g. execution reverted) mean the
+ * node answered correctly. Nodes lacking the state of a historical block are not failing,
+ * they are remembered so that historical reads are routed to other nodes.
+ *
+ * @param {string} rpcUrl - The RPC URL the request was sent to
+ * @param {Error} error - The error the request failed with
+ * @param {boolean} nodeError - Whether the error was caused by the node
+ * @param {number} startedAt - The time the request was started, in milliseconds
+ */
+function recordRequestOutcome(rpcUrl, error, nodeError, startedAt) {
+    if (!rpcUrl) {
+        return;
+    }
+    if (error && classifyError(error) === ERROR_CODES.STATE_UNAVAILABLE) {
+        recordMissingState(rpcUrl);
+        return;
+    }
+    if (nodeError) {
+        recordNodeFailure(rpcUrl, error);
+    } else {
+        recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+    }
+}
+
+/**
+ * Run a read on several nodes at a pinned block and return the answer enough of them agree on
+ *
+ * Requests with a "latest" block tag are pinned a few blocks below the chain head (the chain's
+ * pinDepth), so that every node answers for the same state. Nodes that fail are replaced by
+ * other nodes of the chain until enough nodes answered or every node was tried. Responses are
+ * never served from or stored in the response cache.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} method - The RPC method, used to pin the block tag
+ * @param {Array} params - The RPC params
+ * @param {Object} quorum - The quorum settings (see getQuorumConfig)
+ * @param {Function} callNode - Function (rpcUrl, params) performing the read on one node
+ * @returns {Promise<any>} The agreed result
+ * @throws {QuorumError} If not enough nodes agreed on an answer
+ * @throws {Error} The agreed error, if enough nodes returned the same error
+ */
+async function executeQuorumRead(chainId, method, params, quorum, callNode) {
+    let blockNumber = null;
+    let nodeParams = Array.isArray(params) ? params : [];
+    if (needsPinnedBlock(method)) {
+        const headUrl = await getRpcUrl(chainId);
+        const head = getChainHead(Number(chainId)) || await fetchBlockNumber(headUrl);
+        blockNumber = Math.max(head - quorum.pinDepth, 0);
+        nodeParams = pinBlockTag(method, params, ethers.toQuantity(blockNumber));
+    }
+
+    const answers = [];
+    const failures = [];
+    const triedUrls = new Set();
+
+    while (answers.length < quorum.size) {
+        // Select one new node per missing answer, every node is only asked once
+        const rpcUrls = [];
+        for (let i = answers.length; i < quorum.size; i++) {
+            const rpcUrl = await getRpcUrl(chainId, { exclude: triedUrls });
+            if (triedUrls.has(rpcUrl)) {
+                break;
+            }
+            triedUrls.add(rpcUrl);
+            rpcUrls.push(rpcUrl);
+        }
+        if (rpcUrls.length === 0) {
+            break;
+        }
+
+        await Promise.all(rpcUrls.map(async rpcUrl => {
+            const startedAt = Date.now();
             try {
-                const isAvailable = await isRpcAvailable(url);
-                return { url, available: isAvailable };
+                const result = await callNode(rpcUrl, nodeParams);
+                recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+                answers.push({ url: rpcUrl, result: result });
             } catch (error) {
-                return { url, available: false };
+                // 节点对调用本身返回的错误（如 revert）也是一种答案，参与比较
+                const nodeFailure = isRetryableError(error);
+                recordRequestOutcome(rpcUrl, error, nodeFailure, startedAt);
+                if (nodeFailure) {
+                    console.error(`Quorum read failed on ${rpcUrl}:`, error.message);
+                    failures.push({ url: rpcUrl, error: error });
+                } else {
+                    answers.push({ url: rpcUrl, error: error });
+                }
             }
-        });
+        }));
+    }
+
+    const tally = tallyAnswers(answers, quorum.minAgreement);
+    if (!tally.agreed) {
+        // 节点返回结果不一致，无法达成多数共识
+        throw createQuorumError(quorum, blockNumber, tally, failures);
+    }
+    if (tally.answer.error) {
+        throw tally.answer.error;
+    }
+    return tally.answer.result;
+}
+
+/**
+ * Compute the hash of a signed raw transaction
+ * @param {string} rawTransaction - The signed transaction as hex string
+ * @returns {string} The transaction hash
+ * @throws {JsonRpcError} If the raw transaction is not a hex string
+ */
+function getRawTransactionHash(rawTransaction) {
+    if (typeof rawTransaction !== 'string' || !ethers.isHexString(rawTransaction) || rawTransaction.length <= 2) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'Invalid params', 'raw transaction must be a hex string');
+    }
+    return ethers.keccak256(rawTransaction);
+}
 
-        // Wait for all checks to complete
-        const results = await Promise.allSettled(promises);
+/**
+ * Send a raw transaction to one node and report whether the node accepted it
+ *
+ * "Already known" errors mean the node has the transaction, and "nonce too low" is accepted
+ * when the node knows a transaction with the same hash (it was already mined), so a
+ * broadcast repeated by the client still succeeds.
+ *
+ * @param {string} rpcUrl - The RPC URL to send the transaction to
+ * @param {string} rawTransaction - The signed transaction as hex string
+ * @param {string} hash - The transaction hash
+ * @returns {Promise<Object>} { accepted, url, error, nodeError }
+ */
+async function sendRawTransactionToNode(rpcUrl, rawTransaction, hash) {
+    const startedAt = Date.now();
+    try {
+        const response = await postJsonRpc(rpcUrl, { jsonrpc: '2.0', id: 1, method: 'eth_sendRawTransaction', params: [rawTransaction] });
+        assertNodeResponseStatus(rpcUrl, response);
+        const result = unwrapRpcResponse(rpcUrl, response.data);
+        recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+        if (typeof result === 'string' && result.toLowerCase() !== hash) {
+            console.warn(`RPC node ${rpcUrl} returned transaction hash ${result}, expected ${hash}`);
+        }
+        return { accepted: true, url: rpcUrl };
+    } catch (error) {
+        const nodeError = isRetryableError(error);
+        recordRequestOutcome(rpcUrl, error, nodeError, startedAt);
+        if (nodeError) {
+            return { accepted: false, url: rpcUrl, error: error, nodeError: true };
+        }
 
-        // Find first available node
-        for (const result of results) {
-            if (result.status === 'fulfilled') {
-                const { url, available } = result.value;
-                if (available) {
-                    console.log(`✅ Found available RPC node (concurrent): ${url}`);
-                    return url;
+        if (KNOWN_TRANSACTION_PATTERN.test(error.message)) {
+            return { accepted: true, url: rpcUrl };
+        }
+        if (NONCE_TOO_LOW_PATTERN.test(error.message)) {
+            try {
+                const response = await postJsonRpc(rpcUrl, { jsonrpc: '2.0', id: 1, method: 'eth_getTransactionByHash', params: [hash] });
+                assertNodeResponseStatus(rpcUrl, response);
+                if (unwrapRpcResponse(rpcUrl, response.data)) {
+                    return { accepted: true, url: rpcUrl };
                 }
-                console.log(`❌ RPC node not available (concurrent): ${url}`);
+            } catch (lookupError) {
+                // 查询失败时按原始错误处理
             }
         }
+        return { accepted: false, url: rpcUrl, error: error, nodeError: false };
+    }
+}
 
-        return null;
-    };
+/**
+ * Resolve as soon as one of the broadcast attempts is accepted, or once all of them failed
+ * @param {Array<Promise<Object>>} attempts - The pending sendRawTransactionToNode calls
+ * @returns {Promise<Object>} { accepted, outcomes } with the outcomes settled so far
+ */
+function waitForFirstAcceptance(attempts) {
+    return new Promise(resolve => {
+        const outcomes = [];
+        attempts.forEach(attempt => attempt.then(outcome => {
+            outcomes.push(outcome);
+            if (outcome.accepted || outcomes.length === attempts.length) {
+                resolve({ accepted: outcome.accepted, outcomes: outcomes });
+            }
+        }));
+    });
+}
 
-    // First try concurrent check with 3 nodes
-    const availableUrl = await checkNodes();
-    if (availableUrl) {
-        return availableUrl;
+/**
+ * Broadcast a signed raw transaction to several healthy nodes of a chain in parallel
+ *
+ * A single public node may silently drop a transaction, so it is sent to BROADCAST_NODE_COUNT
+ * nodes at once and the hash is returned as soon as any of them accepts it; the remaining
+ * sends complete in the background. Nodes that fail are replaced by other nodes of the chain,
+ * while a transaction rejected by a node (e.g. insufficient funds) is not sent any further.
+ * Accepted transactions are recorded for transaction status tracking.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} rawTransaction - The signed transaction as hex string
+ * @returns {Promise<string>} The transaction hash
+ * @throws {JsonRpcError|Error} The rejection returned by the nodes, or the last node error
+ */
+async function broadcastRawTransaction(chainId, rawTransaction) {
+    const hash = getRawTransactionHash(rawTransaction);
+    const triedUrls = new Set();
+    let rejection = null;
+    let lastError = null;
+
+    while (!rejection) {
+        const rpcUrls = [];
+        for (let i = 0; i < BROADCAST_NODE_COUNT; i++) {
+            const rpcUrl = await getRpcUrl(chainId, { exclude: triedUrls });
+            if (triedUrls.has(rpcUrl)) {
+                break;
+            }
+            triedUrls.add(rpcUrl);
+            rpcUrls.push(rpcUrl);
+        }
+        if (rpcUrls.length === 0) {
+            break;
+        }
+
+        const { accepted, outcomes } = await waitForFirstAcceptance(
+            rpcUrls.map(rpcUrl => sendRawTransactionToNode(rpcUrl, rawTransaction, hash))
+        );
+        if (accepted) {
+            recordSubmittedTransaction(chainId, rawTransaction);
+            return hash;
+        }
+
+        for (const outcome of outcomes) {
+            console.error(`Transaction broadcast to ${outcome.url} failed:`, outcome.error.message);
+            if (outcome.nodeError) {
+                lastError = outcome.error;
+            } else if (!rejection) {
+                rejection = outcome.error;
+            }
+        }
+    }
+
+    // 优先返回节点对交易本身的拒绝原因
+    throw rejection || lastError || new ProxyError(ERROR_CODES.NO_AVAILABLE_NODES, `No available RPC nodes found for chain ID ${chainId}`);
+}
+
+/**
+ * Fetch logs from a single node
+ * @param {string} rpcUrl - The RPC URL of the node
+ * @param {Object} filter - The log filter with block bounds
+ * @returns {Promise<Array<Object>>} The raw logs returned by the node
+ * @throws {JsonRpcError|Error} If the node returns an error or a malformed response
+ */
+async function fetchNodeLogs(rpcUrl, filter) {
+    const response = await postJsonRpc(rpcUrl, { jsonrpc: '2.0', id: 1, method: 'eth_getLogs', params: [filter] });
+    assertNodeResponseStatus(rpcUrl, response);
+    const logs = unwrapRpcResponse(rpcUrl, response.data);
+    if (!Array.isArray(logs)) {
+        throw new ProxyError(ERROR_CODES.UPSTREAM_BAD_RESPONSE, `RPC node ${rpcUrl} returned an invalid response`);
     }
+    return logs;
+}
 
-    // If none of the first 3 are available, check remaining nodes sequentially
-    for (const url of shuffledUrls.slice(3)) {
-        const isAvailable = await isRpcAvailable(url);
-        if (isAvailable) {
-            console.log(`✅ Found available RPC node (fallback): ${url}`);
-            return url;
+/**
+ * Fetch the logs of a block range in chunks sized to the limits of the selected nodes
+ *
+ * The range is split into chunks of the smallest block range known for the chain's nodes and
+ * LOG_CHUNK_CONCURRENCY chunks are queried in parallel, each on a node picked by the regular
+ * node selection. A node rejecting a chunk as too large gets a smaller block range and the
+ * chunk is split accordingly, a chunk matching too many logs is halved. Chunks failing with
+ * node errors are retried on other nodes.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Object} filter - The log filter, its block bounds are replaced per chunk
+ * @param {number} fromBlock - The first block of the range
+ * @param {number} toBlock - The last block of the range
+ * @param {Object} options - Fetch options
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @param {number} options.maxResults - Maximum number of logs, Infinity for no limit
+ * @param {Function} options.callNode - Function (rpcUrl, filter) fetching the logs of a chunk from one node
+ * @returns {Promise<Array<Object>>} The logs, sorted by block number and log index
+ * @throws {ProxyError} If the range matches more than maxResults logs
+ * @throws {Error} If a chunk could not be fetched from any node
+ */
+async function fetchLogsInChunks(chainId, filter, fromBlock, toBlock, options) {
+    const maxRetries = 3;
+    const chain = getChainConfig(chainId);
+    const chunkSize = Math.min(...getChainUrls(chain).map(url => getNodeBlockRange(chain, url)));
+
+    const queue = [];
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        queue.push({ from: start, to: Math.min(start + chunkSize - 1, toBlock), tried: new Set(), attempts: 0 });
+    }
+
+    const results = [];
+    let resultCount = 0;
+    let failure = null;
+
+    const worker = async () => {
+        while (queue.length > 0 && !failure) {
+            const range = queue.shift();
+            let rpcUrl = null;
+            const startedAt = Date.now();
+            try {
+                rpcUrl = await getRpcUrl(chainId, { exclude: range.tried, sessionKey: options.sessionKey });
+                const nodeRange = getNodeBlockRange(chain, rpcUrl);
+                if (range.to - range.from + 1 > nodeRange) {
+                    // 超出该节点的区块范围限制，剩余部分放回队列
+                    queue.unshift({ from: range.from + nodeRange, to: range.to, tried: new Set(), attempts: 0 });
+                    range.to = range.from + nodeRange - 1;
+                }
+
+                const logs = await options.callNode(rpcUrl, createChunkFilter(filter, range.from, range.to));
+                recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+                results.push(logs);
+                resultCount += logs.length;
+            } catch (error) {
+                const kind = rpcUrl !== null && range.to > range.from ? classifyLogsError(error) : null;
+                if (kind === LOGS_ERROR_KINDS.RANGE) {
+                    recordBlockRangeLimit(rpcUrl, error, range.to - range.from + 1);
+                    queue.unshift(range);
+                    continue;
+                }
+                if (kind === LOGS_ERROR_KINDS.RESULTS) {
+                    const middle = Math.floor((range.from + range.to) / 2);
+                    queue.unshift({ from: range.from, to: middle, tried: new Set(), attempts: 0 }, { from: middle + 1, to: range.to, tried: new Set(), attempts: 0 });
+                    continue;
+                }
+
+                console.error(`eth_getLogs chunk ${range.from}-${range.to} error:`, error.message);
+                const retry = rpcUrl !== null && isRetryableError(error);
+                recordRequestOutcome(rpcUrl, error, retry, startedAt);
+                range.tried.add(rpcUrl);
+                range.attempts++;
+                if (retry && range.attempts < maxRetries) {
+                    queue.unshift(range);
+                    continue;
+                }
+                failure = error;
+                return;
+            }
+
+            if (resultCount > options.maxResults) {
+                failure = new ProxyError(
+                    ERROR_CODES.LIMIT_EXCEEDED,
+                    `Query returned more than ${options.maxResults} results, use /api/logs/[chainId] to page through them`
+                );
+            }
         }
-        console.log(`❌ RPC node not available (fallback): ${url}`);
+    };
+
+    await Promise.all(Array.from({ length: LOG_CHUNK_CONCURRENCY }, worker));
+    if (failure) {
+        throw failure;
+    }
+    return sortLogs(results.flat());
+}
+
+/**
+ * Get the chain head for the block bounds of a log filter
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Object} filter - The log filter
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<number|null>} The head block number, or null if no bound refers to the latest block
+ */
+async function getLogsHead(chainId, filter, options = {}) {
+    const refersToLatest = [filter.fromBlock, filter.toBlock].some(blockTag => blockTag === undefined || blockTag === null || blockTag === 'latest');
+    if (!refersToLatest) {
+        return null;
+    }
+    return Number(await forwardRpcRequest({ method: 'eth_blockNumber' }, chainId, { sessionKey: options.sessionKey }));
+}
+
+/**
+ * Execute an eth_getLogs request by splitting its block range into chunks
+ *
+ * Ranges spanning more than the chain's maxSplitRange blocks, or matching more than its
+ * maxResults logs, are rejected with a limit exceeded error pointing to the paginated
+ * /api/logs/[chainId] endpoint.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Object} filter - The log filter of the request
+ * @param {Object} options - Fetch options (see fetchLogsInChunks), maxResults is set from the chain settings
+ * @returns {Promise<Array<Object>>} The logs, sorted by block number and log index
+ * @throws {JsonRpcError|Error} If the range is too large or a chunk could not be fetched
+ */
+async function executeLogsRequest(chainId, filter, options) {
+    const config = getLogsConfig(getChainConfig(chainId));
+    const head = await getLogsHead(chainId, filter, options);
+    const fromBlock = resolveBlockBound(filter.fromBlock, head);
+    const toBlock = resolveBlockBound(filter.toBlock, head);
+    if (fromBlock > toBlock) {
+        return [];
+    }
+
+    const blockCount = toBlock - fromBlock + 1;
+    if (blockCount > config.maxSplitRange) {
+        throw new ProxyError(
+            ERROR_CODES.LIMIT_EXCEEDED,
+            `Block range of ${blockCount} blocks exceeds the limit of ${config.maxSplitRange}, use /api/logs/[chainId] to page through it`
+        );
     }
 
-    // If no available RPC nodes are found, throw error
-    throw new Error(`No available RPC nodes for chain ${chain.name} (${chainId})`);
+    return fetchLogsInChunks(chainId, filter, fromBlock, toBlock, { ...options, maxResults: config.maxResults });
 }
 
 /**
- * Create ethers.js JsonRpcProvider with automatic node selection
+ * Scan the logs of a block range page by page
+ *
+ * Each page covers at most blockRange blocks and holds about limit logs: a page is cut after
+ * the block in which the limit was reached, so a block's logs are never split across pages.
+ * The returned cursor continues the scan with the next page, the "latest" bound of a new scan
+ * is fixed to the head block at the time of the first page.
+ *
  * @param {number|string} chainId - The chain ID or network ID
- * @returns {Promise<ethers.JsonRpcProvider>} The RPC provider instance
+ * @param {Object} request - { address, topics, fromBlock, toBlock } of a new scan, or { cursor } to continue one
+ * @param {Object} options - Optional scan options
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @param {number} options.limit - Number of logs per page (default: 1000, max: 10000)
+ * @param {number} options.blockRange - Number of blocks per page (default: 10000, max: 100000)
+ * @returns {Promise<Object>} { fromBlock, toBlock, logs, nextCursor } where nextCursor is null after the last page
+ * @throws {JsonRpcError|Error} If the request is invalid or a chunk could not be fetched
  */
-async function createRpcProvider(chainId) {
-    const rpcUrl = await getRpcUrl(chainId);
-    return new ethers.JsonRpcProvider(rpcUrl);
+async function scanLogs(chainId, request, options = {}) {
+    const limit = getPageOption(options.limit, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT, 'limit');
+    const blockRange = getPageOption(options.blockRange, DEFAULT_PAGE_BLOCK_RANGE, MAX_PAGE_BLOCK_RANGE, 'blockRange');
+
+    let scan;
+    if (request.cursor) {
+        scan = decodeLogsCursor(request.cursor);
+    } else {
+        if (request.blockHash) {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'Filters by blockHash cannot be paginated, use eth_getLogs');
+        }
+        const head = await getLogsHead(chainId, request, options);
+        scan = {
+            address: request.address,
+            topics: request.topics,
+            fromBlock: resolveBlockBound(request.fromBlock, head),
+            toBlock: resolveBlockBound(request.toBlock, head)
+        };
+    }
+
+    if (scan.fromBlock > scan.toBlock) {
+        return { fromBlock: scan.fromBlock, toBlock: scan.toBlock, logs: [], nextCursor: null };
+    }
+
+    const pageEnd = Math.min(scan.toBlock, scan.fromBlock + blockRange - 1);
+    const logs = await fetchLogsInChunks(chainId, { address: scan.address, topics: scan.topics }, scan.fromBlock, pageEnd, {
+        sessionKey: options.sessionKey,
+        maxResults: Infinity,
+        callNode: fetchNodeLogs
+    });
+
+    const page = trimLogsPage(logs, limit);
+    const lastBlock = page.lastBlock === null ? pageEnd : page.lastBlock;
+    return {
+        fromBlock: scan.fromBlock,
+        toBlock: lastBlock,
+        logs: page.logs,
+        nextCursor: lastBlock < scan.toBlock ? encodeLogsCursor({ ...scan, fromBlock: lastBlock + 1 }) : null
+    };
 }
 
 /**
  * Handle generic RPC requests with automatic node selection
+ *
+ * Identical concurrent read requests (same chain, method and params) share a single upstream call.
+ * In quorum consistency mode, reads are answered by several nodes (see executeQuorumRead).
+ * Raw transactions are broadcast to several nodes (see broadcastRawTransaction).
+ * eth_getLogs block ranges are split into chunks the nodes accept (see fetchLogsInChunks).
+ *
  * @param {Object} rpcRequest - The RPC request object containing method and params
  * @param {number|string} chainId - The chain ID or network ID to process the request on
+ * @param {Object} options - Optional request options
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @param {string} options.consistency - Requested read consistency ("quorum" or "single")
  * @returns {Promise<any>} The result of the RPC call
  * @throws {Error} If the RPC request fails
  */
-async function handleRpcRequest(rpcRequest, chainId) {
+function handleRpcRequest(rpcRequest, chainId, options = {}) {
+    if (!isCoalescableMethod(rpcRequest.method)) {
+        return executeRpcRequest(rpcRequest, chainId, options);
+    }
+    const key = getCoalescingKey('request', Number(chainId), rpcRequest.method, rpcRequest.params || [], options.consistency || null);
+    return coalesce(key, rpcRequest.method, () => executeRpcRequest(rpcRequest, chainId, options));
+}
+
+/**
+ * Execute a generic RPC request, retrying on other nodes on node errors
+ * @param {Object} rpcRequest - The RPC request object containing method and params
+ * @param {number|string} chainId - The chain ID or network ID to process the request on
+ * @param {Object} options - Optional request options (see handleRpcRequest)
+ * @returns {Promise<any>} The result of the RPC call
+ * @throws {Error} If the RPC request fails
+ */
+async function executeRpcRequest(rpcRequest, chainId, options = {}) {
+    if (rpcRequest.method === 'eth_sendRawTransaction') {
+        return broadcastRawTransaction(chainId, (rpcRequest.params || [])[0]);
+    }
+
+    const quorum = getQuorumConfig(getChainConfig(chainId), options.consistency);
+    if (quorum && isQuorumMethod(rpcRequest.method)) {
+        // 固定区块后的参数原样发送，ethers provider 方法会丢弃部分区块参数
+        return executeQuorumRead(chainId, rpcRequest.method, rpcRequest.params, quorum, async (rpcUrl, params) => {
+            const response = await postJsonRpc(rpcUrl, { jsonrpc: '2.0', id: 1, method: rpcRequest.method, params: params });
+            assertNodeResponseStatus(rpcUrl, response);
+            return unwrapRpcResponse(rpcUrl, response.data);
+        });
+    }
+
+    if (isSplittableLogsRequest(rpcRequest.method, rpcRequest.params)) {
+        return executeLogsRequest(chainId, rpcRequest.params[0], {
+            sessionKey: options.sessionKey,
+            callNode: (rpcUrl, filter) => createProviderForUrl(rpcUrl, chainId).getLogs(filter)
+        });
+    }
+
     let lastError = null;
     const maxRetries = 3;
+    const triedUrls = new Set();
+    let archive = false;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let rpcUrl = null;
+        const startedAt = Date.now();
         try {
-            const provider = await createRpcProvider(chainId);
+            rpcUrl = await getRpcUrl(chainId, { exclude: triedUrls, sessionKey: options.sessionKey, archive: archive });
+            triedUrls.add(rpcUrl);
+            const provider = createProviderForUrl(rpcUrl, chainId);
+
+            const result = await callProviderMethod(provider, rpcUrl, rpcRequest);
+            recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+            observeNodeHead(chainId, rpcUrl, rpcRequest.method, result);
+            return result;
+        } catch (error) {
+            if (rpcUrl === null && archive) {
+                // 没有可用的归档节点，返回节点缺少历史状态的错误
+                throw lastError;
+            }
+            lastError = error;
+            console.error(`RPC request error (attempt ${attempt}/${maxRetries}):`, error.message);
+
+            // 如果是节点错误，尝试切换到下一个节点，缺少历史状态时改用归档节点
+            const nodeError = isRetryableError(error);
+            recordRequestOutcome(rpcUrl, error, nodeError, startedAt);
+            archive = archive || classifyError(error) === ERROR_CODES.STATE_UNAVAILABLE;
+            if (nodeError) {
+                console.log(`RPC node failed, trying next available node...`);
+                // 继续循环，会自动选择下一个节点
+                continue;
+            }
+
+            // 如果是其他错误，直接抛出
+            throw error;
+        }
+    }
+
+    // 如果所有重试都失败了，抛出最后一个错误
+    throw lastError;
+}
+
+/**
+ * Execute an RPC request through an ethers.js provider
+ * @param {ethers.JsonRpcProvider} provider - The provider connected to the selected node
+ * @param {string} rpcUrl - The RPC URL of the selected node
+ * @param {Object} rpcRequest - The RPC request object containing method and params
+ * @returns {Promise<any>} The result of the RPC call
+ */
+async function callProviderMethod(provider, rpcUrl, rpcRequest) {
+    // Process different method types
+    const { method, params } = rpcRequest;
+
+    switch (method) {
+        case 'eth_blockNumber':
+            return await provider.getBlockNumber();
+
+        case 'eth_getBalance':
+            return await provider.getBalance(params[0], params[1]);
+
+        case 'eth_getTransactionCount':
+            return await provider.getTransactionCount(params[0], params[1]);
+
+        case 'eth_getBlockByNumber':
+            return await provider.getBlock(params[0], params[1]);
+
+        case 'eth_getBlockByHash':
+            return await provider.getBlock(params[0], params[1]);
+
+        case 'eth_getTransactionByHash':
+            return await provider.getTransaction(params[0]);
+
+        case 'eth_getTransactionReceipt':
+            return await provider.getTransactionReceipt(params[0]);
+
+        case 'eth_call':
+            // provider.call() only takes the block tag inside the transaction
+            return await provider.call(params[1] === undefined ? params[0] : { ...params[0], blockTag: params[1] });
+
+        case 'eth_estimateGas':
+            return await provider.estimateGas(params[0]);
+
+        case 'eth_getCode':
+            return await provider.getCode(params[0], params[1]);
+
+        case 'eth_getStorageAt':
+            return await provider.getStorage(params[0], params[1], params[2]);
+
+        case 'eth_getLogs':
+            return await provider.getLogs(params[0]);
+
+        case 'eth_chainId':
+            return await provider.getNetwork().then(network => network.chainId);
+
+        case 'net_version':
+            return await provider.getNetwork().then(network => network.chainId);
+
+        case 'eth_gasPrice':
+            return await provider.getGasPrice();
+
+        case 'eth_maxPriorityFeePerGas':
+            return await provider.getFeeData().then(feeData => feeData.maxPriorityFeePerGas);
+
+        case 'eth_maxFeePerGas':
+            return await provider.getFeeData().then(feeData => feeData.maxFeePerGas);
+
+        default: {
+            // For other methods, forward the raw request to the same node
+            const response = await postJsonRpc(rpcUrl, rpcRequest);
+            assertNodeResponseStatus(rpcUrl, response);
+            return unwrapRpcResponse(rpcUrl, response.data);
+        }
+    }
+}
+
+/**
+ * Throw if an HTTP status from an RPC node means the node itself failed
+ * @param {string} rpcUrl - The RPC URL that was called
+ * @param {Object} response - The axios response
+ * @throws {ProxyError} If the status indicates rate limiting or a server side failure
+ */
+function assertNodeResponseStatus(rpcUrl, response) {
+    // Rate limiting and server side failures are node problems, whatever the body says
+    if (response.status === 402 || response.status === 406 || response.status === 429 || response.status >= 500) {
+        throw new ProxyError(classifyHttpStatus(response.status), `RPC node ${rpcUrl} returned HTTP ${response.status}`, { status: response.status });
+    }
+}
+
+/**
+ * Extract the result from a single JSON-RPC response object returned by an RPC node
+ * @param {string} rpcUrl - The RPC URL that returned the response
+ * @param {Object} item - The JSON-RPC response object
+ * @returns {any} The raw result
+ * @throws {JsonRpcError|Error} If the node returned an error or a malformed response
+ */
+function unwrapRpcResponse(rpcUrl, item) {
+    if (item && item.error) {
+        throw new JsonRpcError(item.error.code, item.error.message, item.error.data);
+    }
+
+    if (!item || typeof item !== 'object' || !('result' in item)) {
+        throw new ProxyError(ERROR_CODES.UPSTREAM_BAD_RESPONSE, `RPC node ${rpcUrl} returned an invalid response`);
+    }
+
+    return item.result;
+}
+
+/**
+ * Forward a raw JSON-RPC request to an upstream node with automatic node selection
+ *
+ * Unlike handleRpcRequest, the result is returned exactly as produced by the node, which makes
+ * it suitable for spec-compliant JSON-RPC endpoints. Errors returned by the node are raised as
+ * JsonRpcError so their code and data can be passed back to the caller.
+ * Identical concurrent read requests share a single upstream call. In quorum consistency mode,
+ * reads are answered by several nodes (see executeQuorumRead). Raw transactions are broadcast
+ * to several nodes (see broadcastRawTransaction). eth_getLogs block ranges are split into
+ * chunks the nodes accept (see fetchLogsInChunks).
+ *
+ * @param {Object} rpcRequest - The JSON-RPC request object containing method and params
+ * @param {number|string} chainId - The chain ID or network ID to process the request on
+ * @param {Object} options - Optional request options
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @param {string} options.consistency - Requested read consistency ("quorum" or "single")
+ * @param {boolean} options.historical - Whether the request reads state at a historical block (see getRpcUrl)
+ * @returns {Promise<any>} The raw result of the RPC call
+ * @throws {JsonRpcError|Error} If the node returns an error or no node could serve the request
+ */
+function forwardRpcRequest(rpcRequest, chainId, options = {}) {
+    // The caller's id is echoed by the API route, upstream only ever sees our own id
+    const payload = {
+        jsonrpc: '2.0',
+        id: 1,
+        method: rpcRequest.method,
+        params: rpcRequest.params === undefined ? [] : rpcRequest.params
+    };
+
+    if (!isCoalescableMethod(payload.method)) {
+        return executeForwardRequest(payload, chainId, options);
+    }
+    const key = getCoalescingKey('forward', Number(chainId), payload.method, payload.params, options.consistency || null);
+    return coalesce(key, payload.method, () => executeForwardRequest(payload, chainId, options));
+}
+
+/**
+ * Forward a JSON-RPC payload to a node, serving it from the cache when possible
+ * @param {Object} payload - The upstream JSON-RPC payload
+ * @param {number|string} chainId - The chain ID or network ID to process the request on
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<any>} The raw result of the RPC call
+ * @throws {JsonRpcError|Error} If the node returns an error or no node could serve the request
+ */
+async function executeForwardRequest(payload, chainId, options = {}) {
+    let lastError = null;
+    const maxRetries = 3;
+
+    if (payload.method === 'eth_sendRawTransaction') {
+        return broadcastRawTransaction(chainId, payload.params[0]);
+    }
+
+    const chain = getChainConfig(chainId);
+    const quorum = getQuorumConfig(chain, options.consistency);
+    if (quorum && isQuorumMethod(payload.method)) {
+        return executeQuorumRead(chainId, payload.method, payload.params, quorum, async (rpcUrl, params) => {
+            const response = await postJsonRpc(rpcUrl, { ...payload, params: params });
+            assertNodeResponseStatus(rpcUrl, response);
+            return unwrapRpcResponse(rpcUrl, response.data);
+        });
+    }
+    if (chain) {
+        const cached = await getCachedResult(chain, payload.method, payload.params);
+        if (cached.hit) {
+            return cached.result;
+        }
+    }
+
+    if (isSplittableLogsRequest(payload.method, payload.params)) {
+        const logs = await executeLogsRequest(chainId, payload.params[0], {
+            sessionKey: options.sessionKey,
+            callNode: fetchNodeLogs
+        });
+        if (chain) {
+            await cacheResult(chain, payload.method, payload.params, logs);
+        }
+        return logs;
+    }
+
+    const triedUrls = new Set();
+    let archive = false;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let rpcUrl = null;
+        const startedAt = Date.now();
+        try {
+            rpcUrl = await getRpcUrl(chainId, { exclude: triedUrls, sessionKey: options.sessionKey, historical: options.historical, archive: archive });
+            triedUrls.add(rpcUrl);
+            const response = await postJsonRpc(rpcUrl, payload);
+            assertNodeResponseStatus(rpcUrl, response);
+            const result = unwrapRpcResponse(rpcUrl, response.data);
+            recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+            observeNodeHead(chainId, rpcUrl, payload.method, result);
+            if (chain) {
+                await cacheResult(chain, payload.method, payload.params, result);
+            }
+            return result;
+        } catch (error) {
+            if (rpcUrl === null && archive) {
+                // 没有可用的归档节点，返回节点缺少历史状态的错误
+                throw lastError;
+            }
+            lastError = error;
+            console.error(`RPC forward error (attempt ${attempt}/${maxRetries}):`, error.message);
+
+            // 请求本身的错误（如 execution reverted）直接返回给调用方，节点故障切换节点重试
+            const retry = rpcUrl !== null && isRetryableError(error);
+            recordRequestOutcome(rpcUrl, error, retry, startedAt);
+            archive = archive || classifyError(error) === ERROR_CODES.STATE_UNAVAILABLE;
+            if (retry) {
+                continue;
+            }
 
-            // Process different method types
-            const { method, params } = rpcRequest;
+            throw error;
+        }
+    }
 
-            switch (method) {
-                case 'eth_blockNumber':
-                    return await provider.getBlockNumber();
+    // 如果所有重试都失败了，抛出最后一个错误
+    throw lastError;
+}
 
-                case 'eth_getBalance':
-                    return await provider.getBalance(params[0], params[1]);
+/**
+ * Forward a batch of raw JSON-RPC requests to upstream nodes with per-item failover
+ *
+ * Items are sent to a node as upstream batches of at most MAX_UPSTREAM_BATCH_SIZE requests.
+ * Items that fail with a node error (or are missing from the node's response) are retried
+ * together on the next selected node, while items that succeeded or failed with a caller
+ * error keep their outcome. Raw transactions are broadcast separately and eth_getLogs items
+ * with a block range are split into chunks separately.
+ *
+ * @param {Array<Object>} rpcRequests - The JSON-RPC request objects containing method and params
+ * @param {number|string} chainId - The chain ID or network ID to process the requests on
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<Array<Object>>} One outcome per request, in order: { result } or { error }
+ */
+async function forwardRpcBatch(rpcRequests, chainId, options = {}) {
+    const maxRetries = 3;
+    const outcomes = new Array(rpcRequests.length);
+    const lastErrors = new Array(rpcRequests.length);
+    const triedUrls = new Set();
+    const chain = getChainConfig(chainId);
+    const calls = rpcRequests.map(request => ({
+        method: request.method,
+        params: request.params === undefined ? [] : request.params
+    }));
+
+    // Raw transactions are broadcast to several nodes and log ranges are split into chunks on their own
+    const isSeparateCall = call => call.method === 'eth_sendRawTransaction' || isSplittableLogsRequest(call.method, call.params);
+    const separateCalls = [];
+    calls.forEach((call, index) => {
+        if (isSeparateCall(call)) {
+            const execution = call.method === 'eth_sendRawTransaction'
+                ? broadcastRawTransaction(chainId, call.params[0])
+                : forwardRpcRequest(call, chainId, options);
+            separateCalls.push(execution.then(
+                result => { outcomes[index] = { result: result }; },
+                error => { outcomes[index] = { error: error }; }
+            ));
+        }
+    });
 
-                case 'eth_getTransactionCount':
-                    return await provider.getTransactionCount(params[0], params[1]);
+    // Answer cached items locally, only the rest goes upstream
+    let pending = [];
+    await Promise.all(calls.map(async (call, index) => {
+        if (isSeparateCall(call)) {
+            return;
+        }
+        const cached = chain ? await getCachedResult(chain, call.method, call.params) : { hit: false };
+        if (cached.hit) {
+            outcomes[index] = { result: cached.result };
+        } else {
+            pending.push(index);
+        }
+    }));
+    pending.sort((a, b) => a - b);
 
-                case 'eth_getBlockByNumber':
-                    return await provider.getBlock(params[0], params[1]);
+    for (let attempt = 1; attempt <= maxRetries && pending.length > 0; attempt++) {
+        let rpcUrl;
+        try {
+            rpcUrl = await getRpcUrl(chainId, { exclude: triedUrls, sessionKey: options.sessionKey });
+            triedUrls.add(rpcUrl);
+        } catch (error) {
+            pending.forEach(index => { lastErrors[index] = error; });
+            break;
+        }
 
-                case 'eth_getBlockByHash':
-                    return await provider.getBlock(params[0], params[1]);
+        const chunks = [];
+        for (let i = 0; i < pending.length; i += MAX_UPSTREAM_BATCH_SIZE) {
+            chunks.push(pending.slice(i, i + MAX_UPSTREAM_BATCH_SIZE));
+        }
 
-                case 'eth_getTransactionByHash':
-                    return await provider.getTransaction(params[0]);
+        const retry = [];
+        let nodeFailure = null;
+        const startedAt = Date.now();
+        await Promise.all(chunks.map(async (chunk) => {
+            // The item index is used as upstream id so responses can be matched back in any order
+            const payload = chunk.map(index => ({
+                jsonrpc: '2.0',
+                id: index,
+                method: calls[index].method,
+                params: calls[index].params
+            }));
 
-                case 'eth_getTransactionReceipt':
-                    return await provider.getTransactionReceipt(params[0]);
+            try {
+                const response = await postJsonRpc(rpcUrl, payload);
+                assertNodeResponseStatus(rpcUrl, response);
 
-                case 'eth_call':
-                    return await provider.call(params[0], params[1]);
+                // Nodes without batch support answer with a single error object
+                if (!Array.isArray(response.data)) {
+                    throw new ProxyError(ERROR_CODES.UPSTREAM_BAD_RESPONSE, `RPC node ${rpcUrl} does not support batch requests`);
+                }
 
-                case 'eth_estimateGas':
-                    return await provider.estimateGas(params[0]);
+                const responsesById = new Map();
+                for (const item of response.data) {
+                    if (item && typeof item === 'object') {
+                        responsesById.set(item.id, item);
+                    }
+                }
 
-                case 'eth_sendRawTransaction':
-                    return await provider.send(params[0]);
+                for (const index of chunk) {
+                    try {
+                        outcomes[index] = { result: unwrapRpcResponse(rpcUrl, responsesById.get(index)) };
+                        observeNodeHead(chainId, rpcUrl, calls[index].method, outcomes[index].result);
+                        if (chain) {
+                            await cacheResult(chain, calls[index].method, calls[index].params, outcomes[index].result);
+                        }
+                    } catch (error) {
+                        if (isRetryableError(error)) {
+                            lastErrors[index] = error;
+                            nodeFailure = error;
+                            retry.push(index);
+                        } else {
+                            outcomes[index] = { error: error };
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error(`RPC batch forward error (attempt ${attempt}/${maxRetries}):`, error.message);
+                nodeFailure = error;
+                chunk.forEach(index => {
+                    lastErrors[index] = error;
+                    retry.push(index);
+                });
+            }
+        }));
 
-                case 'eth_getCode':
-                    return await provider.getCode(params[0], params[1]);
+        recordRequestOutcome(rpcUrl, nodeFailure, nodeFailure !== null, startedAt);
+        if (retry.length > 0) {
+            console.log(`${retry.length} batch item(s) failed on RPC node, trying next available node...`);
+        }
+        pending = retry.sort((a, b) => a - b);
+    }
 
-                case 'eth_getStorageAt':
-                    return await provider.getStorage(params[0], params[1]);
+    // 重试耗尽的请求返回最后一个错误
+    for (const index of pending) {
+        outcomes[index] = { error: lastErrors[index] };
+    }
 
-                case 'eth_getLogs':
-                    return await provider.getLogs(params[0]);
+    await Promise.all(separateCalls);
+    return outcomes;
+}
 
-                case 'eth_chainId':
-                    return await provider.getNetwork().then(network => network.chainId);
+/**
+ * Handle a JSON-RPC 2.0 batch request
+ *
+ * Invalid items are answered individually with an Invalid Request error, valid items are
+ * forwarded upstream with forwardRpcBatch (or one by one in quorum consistency mode).
+ * Notifications are executed but not answered.
+ *
+ * @param {Array<any>} batch - The batch array as sent by the caller
+ * @param {number|string} chainId - The chain ID or network ID to process the batch on
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<Array<Object>>} The JSON-RPC response objects, in request order
+ */
+async function handleRpcBatch(batch, chainId, options = {}) {
+    const responses = new Array(batch.length);
+    const validIndexes = [];
 
-                case 'net_version':
-                    return await provider.getNetwork().then(network => network.chainId);
+    batch.forEach((request, index) => {
+        try {
+            validateJsonRpcRequest(request);
+            validIndexes.push(index);
+        } catch (error) {
+            responses[index] = createErrorResponse(getRequestId(request), toJsonRpcError(error));
+        }
+    });
+
+    // In quorum consistency mode every item is read by quorum on its own
+    const validRequests = validIndexes.map(index => batch[index]);
+    const outcomes = getQuorumConfig(getChainConfig(chainId), options.consistency)
+        ? await Promise.all(validRequests.map(request => forwardRpcRequest(request, chainId, options).then(
+            result => ({ result: result }),
+            error => ({ error: error })
+        )))
+        : await forwardRpcBatch(validRequests, chainId, options);
+    outcomes.forEach((outcome, i) => {
+        const index = validIndexes[i];
+        const id = getRequestId(batch[index]);
+        responses[index] = outcome.error
+            ? createErrorResponse(id, toJsonRpcError(outcome.error))
+            : createResultResponse(id, outcome.result);
+    });
+
+    // Invalid items are always answered, valid notifications never are
+    const validSet = new Set(validIndexes);
+    return responses.filter((response, index) => !(validSet.has(index) && isNotification(batch[index])));
+}
 
-                case 'eth_gasPrice':
-                    return await provider.getGasPrice();
+/**
+ * Convert BigInt values (also nested in arrays and objects) to strings for JSON serialization
+ * @param {any} value - The value to convert
+ * @returns {any} The value with every BigInt replaced by its decimal string
+ */
+function serializeBigInt(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    } else if (Array.isArray(value)) {
+        return value.map(item => serializeBigInt(item));
+    } else if (value && typeof value === 'object') {
+        const processed = {};
+        for (const key in value) {
+            processed[key] = serializeBigInt(value[key]);
+        }
+        return processed;
+    }
+    return value;
+}
 
-                case 'eth_maxPriorityFeePerGas':
-                    return await provider.getFeeData().then(feeData => feeData.maxPriorityFeePerGas);
+/**
+ * Get the ABI of a contract call from an inline ABI, abi.json or the ABI registry
+ * @param {string} contractName - The contract name, or the name of a cached inline ABI
+ * @returns {Array<Object>|null} The ABI, or null if the contract is unknown
+ */
+function getCallAbi(contractName) {
+    return isInlineAbiName(contractName) ? getInlineAbi(contractName) : getContractAbi(contractName);
+}
 
-                case 'eth_maxFeePerGas':
-                    return await provider.getFeeData().then(feeData => feeData.maxFeePerGas);
+/**
+ * Get the interface of a contract call's ABI
+ * @param {string} contractName - The contract name, or the name of a cached inline ABI
+ * @returns {ethers.Interface} The contract interface
+ * @throws {ProxyError} If no ABI is found for the contract
+ */
+function getCallInterface(contractName) {
+    const contractAbi = getCallAbi(contractName);
+    if (!contractAbi) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `ABI configuration not found for contract ${contractName}`);
+    }
+    return new ethers.Interface(contractAbi);
+}
 
-                default:
-                    // For other methods, use generic RPC call with better error handling
-                    const rpcUrl = await getRpcUrl(chainId);
-                    try {
-                        const response = await axios.post(rpcUrl, rpcRequest, {
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'Accept': 'application/json',
-                                'User-Agent': 'BestProxyWallet/1.0'
-                            },
-                            timeout: 10000
-                        });
-                        return response.data.result;
-                    } catch (axiosError) {
-                        console.error('Generic RPC call failed:', axiosError.message);
-                        if (axiosError.response && axiosError.response.status === 406) {
-                            console.error('RPC node returned 406 Not Acceptable, trying next available node...');
-                            // Force retry with next available node
-                            const newRpcUrl = await getRpcUrl(chainId);
-                            const retryResponse = await axios.post(newRpcUrl, rpcRequest, {
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                    'Accept': 'application/json',
-                                    'User-Agent': 'BestProxyWallet/1.0'
-                                },
-                                timeout: 10000
-                            });
-                            return retryResponse.data.result;
-                        }
-                        throw axiosError;
-                    }
-            }
-        } catch (error) {
-            lastError = error;
-            console.error(`RPC request error (attempt ${attempt}/${maxRetries}):`, error.message);
+/**
+ * Get a function of a contract call's ABI
+ * @param {string} contractName - The contract name, or the name of a cached inline ABI
+ * @param {string} functionName - The name, full signature or 4-byte selector of the function
+ * @returns {ethers.FunctionFragment} The function fragment
+ * @throws {ProxyError} If no ABI is found for the contract or the function does not exist
+ */
+function getContractFunction(contractName, functionName) {
+    return findContractFunction(getCallInterface(contractName), functionName, contractName);
+}
 
-            // 如果是节点错误，尝试切换到下一个节点
-            if (error.message.includes('406 Not Acceptable') ||
-                error.message.includes('402 Payment Required') ||
-                error.message.includes('network error') ||
-                error.message.includes('timeout') ||
-                error.message.includes('400 Bad Request') ||
-                error.message.includes('SERVER_ERROR') ||
-                error.message.includes('cu limit exceeded') ||
-                error.message.includes('traffic is too high') ||
-                error.message.includes('BAD_DATA') ||
-                error.message.includes('limit exceeded')) {
-                console.log(`RPC node failed, trying next available node...`);
-                // 继续循环，会自动选择下一个节点
-                continue;
-            }
+/**
+ * Resolve the contract name of a contract call
+ *
+ * Callers may omit the contract name for addresses bound to an ABI in the ABI registry.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} contractAddress - The contract address
+ * @param {string} contractName - The contract name given by the caller, if any
+ * @returns {string} The contract name
+ * @throws {ProxyError} If no contract name is given and no ABI is bound to the address
+ */
+function resolveContractName(chainId, contractAddress, contractName) {
+    if (contractName) {
+        return contractName;
+    }
+    const chain = getChainConfig(chainId);
+    const boundName = chain ? getBoundContractName(chain.chainId, contractAddress) : null;
+    if (!boundName) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `contractName is required: no ABI is bound to ${contractAddress} on chain ${chainId}`);
+    }
+    return boundName;
+}
 
-            // 如果是其他错误，直接抛出
-            throw error;
+/**
+ * Handle contract function calls with automatic node selection
+ *
+ * Identical concurrent calls of view and pure functions share a single upstream call.
+ * In quorum consistency mode, view and pure functions are read from several nodes at a
+ * pinned block (see executeQuorumRead). Reverts are decoded against the contract ABI's
+ * custom errors, Error(string) and Panic(uint256). Arguments are validated and coerced
+ * against the function's ABI inputs before anything is sent (see coerceFunctionArgs), and
+ * results of view and pure functions are shaped after its outputs (see formatFunctionResult).
+ * Reads may be pinned to a block with options.blockTag; reads at historical blocks are routed
+ * away from nodes lacking historical state, and retried on archive nodes when a node fails
+ * with missing state.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} contractAddress - The address of the contract to call
+ * @param {string} contractName - The name of the contract (abi.json or ABI registry), optional for addresses bound in the ABI registry
+ * @param {string} functionName - The name, full signature or 4-byte selector of the function to call
+ * @param {Array} params - Array of parameters for the function call
+ * @param {string} fromAddress - Optional sender address for write operations
+ * @param {number} value - Optional value to send with the transaction (in wei)
+ * @param {Object} options - Optional request options
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @param {string} options.consistency - Requested read consistency ("quorum" or "single")
+ * @param {string} options.numberFormat - Format of the numbers of read results ("decimal" or "hex")
+ * @param {number|string} options.blockTag - Block of read operations: a block number, block hash or named tag (default: latest)
+ * @returns {Promise<any>} The result of a read, or the transaction of a write
+ * @throws {ProxyError} If the function does not exist or the arguments are invalid
+ * @throws {ContractRevertError} If the contract call reverts
+ * @throws {Error} If the contract call fails
+ */
+async function handleContractCall(chainId, contractAddress, contractName, functionName, params = [], fromAddress = null, value = 0, options = {}) {
+    await loadAbiRegistry();
+    contractName = resolveContractName(chainId, contractAddress, contractName);
+    const numberFormat = resolveNumberFormat(options.numberFormat);
+    const contractInterface = getCallInterface(contractName);
+
+    // 按 ABI 输入类型校验并转换参数
+    const fragment = findContractFunction(contractInterface, functionName, contractName);
+    const args = coerceFunctionArgs(fragment, params);
+    const signature = fragment.format('sighash');
+
+    let call;
+    if (fragment.stateMutability !== 'view' && fragment.stateMutability !== 'pure') {
+        if (options.blockTag !== undefined && options.blockTag !== null && options.blockTag !== 'latest') {
+            throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `blockTag only applies to view and pure functions, ${signature} is ${fragment.stateMutability}`);
         }
+        call = executeContractCall(chainId, contractAddress, contractName, signature, args, fromAddress, value, options);
+    } else {
+        const quorum = getQuorumConfig(getChainConfig(chainId), options.consistency);
+        const execute = quorum
+            ? () => executeQuorumContractRead(chainId, contractAddress, contractName, signature, args, quorum, options.blockTag)
+            : () => executeContractCall(chainId, contractAddress, contractName, signature, args, fromAddress, value, options);
+        const key = getCoalescingKey('contract', Number(chainId), String(contractAddress).toLowerCase(), contractName, signature, serializeBigInt(args), options.blockTag === undefined ? null : options.blockTag, options.consistency || null);
+        // 共享的是解码后的原始结果，数字格式按各请求分别处理
+        call = coalesce(key, `${contractName}.${fragment.name}`, execute)
+            .then(result => formatFunctionResult(fragment, result, numberFormat));
     }
 
-    // 如果所有重试都失败了，抛出最后一个错误
-    throw lastError;
+    return call.catch(error => {
+        if (classifyError(error) === ERROR_CODES.STATE_UNAVAILABLE) {
+            throw new ProxyError(ERROR_CODES.STATE_UNAVAILABLE, `No RPC node of chain ${chainId} could read ${contractName}.${fragment.name} at block ${options.blockTag === undefined ? 'latest' : options.blockTag}: historical state not available, configure an archive node`);
+        }
+        if (error instanceof ContractRevertError || !isRevertError(error)) {
+            throw error;
+        }
+        throw new ContractRevertError(decodeRevertError(error, contractInterface));
+    });
 }
 
 /**
- * Handle contract function calls with automatic node selection and BigInt serialization
+ * Read a view or pure contract function by quorum
+ *
+ * The call is encoded once and sent as a raw eth_call to several nodes at a pinned block,
+ * the agreed return data is then decoded like a regular contract call.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} contractAddress - The address of the contract to call
+ * @param {string} contractName - The name of the contract (must match ABI configuration)
+ * @param {string} functionName - The name, full signature or 4-byte selector of the function to call
+ * @param {Array} params - Array of parameters for the function call
+ * @param {Object} quorum - The quorum settings (see getQuorumConfig)
+ * @param {number|string} blockTag - The block to read at, latest (pinned) if not given
+ * @returns {Promise<ethers.Result>} The decoded result
+ * @throws {QuorumError|Error} If the nodes do not agree or the call fails
+ */
+async function executeQuorumContractRead(chainId, contractAddress, contractName, functionName, params, quorum, blockTag = 'latest') {
+    const contractInterface = getCallInterface(contractName);
+    const fragment = findContractFunction(contractInterface, functionName, contractName);
+    const callRequest = {
+        to: contractAddress,
+        data: contractInterface.encodeFunctionData(fragment, params)
+    };
+
+    const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+    const data = await executeQuorumRead(chainId, 'eth_call', [callRequest, tag], quorum, async (rpcUrl, nodeParams) => {
+        const response = await postJsonRpc(rpcUrl, { jsonrpc: '2.0', id: 1, method: 'eth_call', params: nodeParams });
+        assertNodeResponseStatus(rpcUrl, response);
+        return unwrapRpcResponse(rpcUrl, response.data);
+    });
+
+    return contractInterface.decodeFunctionResult(fragment, data);
+}
+
+/**
+ * Execute a contract function call, retrying on other nodes on node errors
  * @param {number|string} chainId - The chain ID or network ID
  * @param {string} contractAddress - The address of the contract to call
  * @param {string} contractName - The name of the contract (must match ABI configuration)
- * @param {string} functionName - The name of the function to call
+ * @param {string} functionName - The name, full signature or 4-byte selector of the function to call
  * @param {Array} params - Array of parameters for the function call
  * @param {string} fromAddress - Optional sender address for write operations
  * @param {number} value - Optional value to send with the transaction (in wei)
- * @returns {Promise<any>} The result of the contract call with BigInt serialized
+ * @param {Object} options - Optional request options (see handleContractCall)
+ * @returns {Promise<ethers.Result|Object>} The decoded result of a read, or the transaction of a write
  * @throws {Error} If the contract call fails
  */
-async function handleContractCall(chainId, contractAddress, contractName, functionName, params = [], fromAddress = null, value = 0) {
+async function executeContractCall(chainId, contractAddress, contractName, functionName, params = [], fromAddress = null, value = 0, options = {}) {
     let lastError = null;
     const maxRetries = 3;
 
+    const triedUrls = new Set();
+    const historical = isHistoricalBlockTag(options.blockTag);
+    let archive = false;
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let rpcUrl = null;
+        const startedAt = Date.now();
         try {
-            const provider = await createRpcProvider(chainId);
+            rpcUrl = await getRpcUrl(chainId, { exclude: triedUrls, sessionKey: options.sessionKey, historical: historical, archive: archive });
+            triedUrls.add(rpcUrl);
+            const provider = createProviderForUrl(rpcUrl, chainId);
 
-            // Get contract ABI from configuration
-            const contractAbi = abiConfig[contractName];
+            // Get contract ABI from configuration or the ABI registry
+            const contractAbi = getCallAbi(contractName);
             if (!contractAbi) {
-                throw new Error(`ABI configuration not found for contract ${contractName}`);
+                throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `ABI configuration not found for contract ${contractName}`);
             }
 
             // Create contract instance
@@ -351,33 +1679,30 @@ async function handleContractCall(chainId, contractAddress, contractName, functi
             // Call contract function
             let result;
             if (functionName === 'constructor') {
-                throw new Error('Cannot directly call constructor');
+                throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'Cannot directly call constructor');
             }
 
-            // Check if function exists
-            const functionExists = contract.interface.getFunction(functionName);
-            if (!functionExists) {
-                throw new Error(`Function ${functionName} does not exist in contract ${contractName}`);
-            }
+            // Resolve the function by name, signature or selector (overloads need a signature)
+            const functionFragment = findContractFunction(contract.interface, functionName, contractName);
+            const contractFunction = contract.getFunction(functionFragment);
 
             // Choose call method based on function mutability
-            const functionFragment = contract.interface.getFunction(functionName);
             if (functionFragment.stateMutability === 'view' || functionFragment.stateMutability === 'pure') {
-                // Read operation
-                result = await contract[functionName](...processedParams);
+                // Read operation, the full result is shaped after the ABI outputs by the caller
+                result = await contractFunction.staticCallResult(...processedParams, { blockTag: options.blockTag === undefined || options.blockTag === null ? 'latest' : options.blockTag });
             } else {
                 // Write operation - need to estimate gas and send transaction
                 if (!fromAddress) {
-                    throw new Error('Write operations require fromAddress');
+                    throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'Write operations require fromAddress');
                 }
 
                 // Estimate gas
-                const gasEstimate = await contract[functionName].estimateGas(...processedParams, {
+                const gasEstimate = await contractFunction.estimateGas(...processedParams, {
                     value: value
                 });
 
                 // Send transaction
-                const tx = await contract[functionName](...processedParams, {
+                const tx = await contractFunction(...processedParams, {
                     gasLimit: gasEstimate,
                     value: value
                 });
@@ -389,40 +1714,21 @@ async function handleContractCall(chainId, contractAddress, contractName, functi
                 };
             }
 
-            // Handle BigInt serialization issues
-            const processBigInt = (value) => {
-                if (typeof value === 'bigint') {
-                    return value.toString();
-                } else if (Array.isArray(value)) {
-                    return value.map(item => processBigInt(item));
-                } else if (value && typeof value === 'object') {
-                    const processed = {};
-                    for (const key in value) {
-                        processed[key] = processBigInt(value[key]);
-                    }
-                    return processed;
-                }
-                return value;
-            };
-
-            const processedResult = processBigInt(result);
-            return processedResult;
+            recordNodeSuccess(rpcUrl, Date.now() - startedAt);
+            return result;
         } catch (error) {
+            if (rpcUrl === null && archive) {
+                // 没有可用的归档节点，返回节点缺少历史状态的错误
+                throw lastError;
+            }
             lastError = error;
             console.error(`Contract call error rpc (attempt ${attempt}/${maxRetries}):`, error.message);
 
-            // 如果是节点错误，尝试切换到下一个节点
-            if (error.message.includes('406 Not Acceptable') ||
-                error.message.includes('402 Payment Required') ||
-                error.message.includes('network error') ||
-                error.message.includes('timeout') ||
-                error.message.includes('JsonRpcProvider failed to detect network') ||
-                error.message.includes('400 Bad Request') ||
-                error.message.includes('SERVER_ERROR') ||
-                error.message.includes('cu limit exceeded') ||
-                error.message.includes('traffic is too high') ||
-                error.message.includes('BAD_DATA') ||
-                error.message.includes('limit exceeded')) {
+            // 如果是节点错误，尝试切换到下一个节点，缺少历史状态时改用归档节点
+            const nodeError = isRetryableError(error);
+            recordRequestOutcome(rpcUrl, error, nodeError, startedAt);
+            archive = archive || classifyError(error) === ERROR_CODES.STATE_UNAVAILABLE;
+            if (nodeError) {
                 console.log(`RPC node failed, trying next available node...`);
                 // 继续循环，会自动选择下一个节点
                 continue;
@@ -438,42 +1744,462 @@ async function handleContractCall(chainId, contractAddress, contractName, functi
 }
 
 /**
- * Get list of supported contracts from ABI configuration
+ * Validate a read of a multicall request and encode its calldata
+ * @param {Object} call - { contractAddress, contractName, functionName, params, allowFailure }, contractName may be omitted for bound addresses
+ * @param {number} index - The index of the read in the request
+ * @param {Map} interfaces - Contract interfaces by contract name, shared by the reads of a request
+ * @param {number} chainId - The chain ID, used to resolve bound addresses
+ * @returns {Object} { target, callData, contractInterface, fragment, label, allowFailure }
+ * @throws {ProxyError} If the read is invalid
+ */
+function prepareMulticallRead(call, index, interfaces, chainId) {
+    const prefix = `calls[${index}]`;
+    if (!call || typeof call !== 'object' || Array.isArray(call)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix} must be an object`);
+    }
+
+    const { contractAddress, functionName, params = [], allowFailure = true } = call;
+    if (typeof contractAddress !== 'string' || !ethers.isAddress(contractAddress)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: invalid contract address ${contractAddress}`);
+    }
+    const contractName = call.contractName || getBoundContractName(chainId, contractAddress);
+    if (!call.contractName && !contractName) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `${prefix}: contractName is required: no ABI is bound to ${contractAddress}`);
+    }
+    if (!getCallAbi(contractName)) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `${prefix}: unsupported contract ${contractName}`);
+    }
+    if (!Array.isArray(params)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: params must be an array`);
+    }
+    if (typeof allowFailure !== 'boolean') {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: allowFailure must be a boolean`);
+    }
+
+    if (!interfaces.has(contractName)) {
+        interfaces.set(contractName, new ethers.Interface(getCallAbi(contractName)));
+    }
+    const contractInterface = interfaces.get(contractName);
+
+    let fragment;
+    try {
+        fragment = findContractFunction(contractInterface, functionName, contractName);
+    } catch (error) {
+        throw new ProxyError(error.errorCode, `${prefix}: ${error.message}`, error.data);
+    }
+    if (fragment.stateMutability !== 'view' && fragment.stateMutability !== 'pure') {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: ${functionName} is not a view or pure function`);
+    }
+
+    let args;
+    try {
+        args = coerceFunctionArgs(fragment, params);
+    } catch (error) {
+        throw new ProxyError(error.errorCode, `${prefix}: ${error.message}`, error.data);
+    }
+
+    let callData;
+    try {
+        callData = contractInterface.encodeFunctionData(fragment, args);
+    } catch (error) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `${prefix}: invalid params: ${error.shortMessage || error.message}`);
+    }
+
+    return {
+        target: contractAddress,
+        callData: callData,
+        contractInterface: contractInterface,
+        fragment: fragment,
+        label: `${contractName}.${fragment.name}`,
+        allowFailure: allowFailure
+    };
+}
+
+/**
+ * Decode the outcome of a multicall read
+ * @param {Object} read - The prepared read (see prepareMulticallRead)
+ * @param {boolean} success - Whether the call succeeded
+ * @param {string} returnData - The return data, or the revert data of a failed call
+ * @returns {Object} { result } or { error }
+ */
+function decodeMulticallRead(read, success, returnData) {
+    if (!success) {
+        return { error: new ContractRevertError(decodeRevertData(returnData, read.contractInterface)) };
+    }
+    try {
+        return { result: read.contractInterface.decodeFunctionResult(read.fragment, returnData) };
+    } catch (error) {
+        return { error: error };
+    }
+}
+
+/**
+ * Check whether Multicall3 is deployed on a chain
+ *
+ * Checked once per chain with eth_getCode. A failed check counts as not deployed for the
+ * current request and is repeated on the next one.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} address - The Multicall3 address of the chain
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<boolean>} True if Multicall3 is deployed
+ */
+async function hasMulticallDeployment(chainId, address, options = {}) {
+    const key = `${Number(chainId)}:${address.toLowerCase()}`;
+    if (multicallDeployments.has(key)) {
+        return multicallDeployments.get(key);
+    }
+
+    try {
+        const code = await forwardRpcRequest({ method: 'eth_getCode', params: [address, 'latest'] }, chainId, { sessionKey: options.sessionKey });
+        const deployed = typeof code === 'string' && code !== '0x';
+        multicallDeployments.set(key, deployed);
+        return deployed;
+    } catch (error) {
+        console.error(`Multicall3 deployment check on chain ${chainId} failed:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Send a read as a single eth_call
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Object} read - The prepared read (see prepareMulticallRead)
+ * @param {Object} options - Optional request options (see forwardRpcRequest), with the blockTag to read at as hex quantity or tag
+ * @returns {Promise<Object>} { result } or { error }
+ */
+async function executeSingleRead(chainId, read, options) {
+    try {
+        const returnData = await forwardRpcRequest({
+            method: 'eth_call',
+            params: [{ to: read.target, data: read.callData }, options.blockTag]
+        }, chainId, options);
+        return decodeMulticallRead(read, true, returnData);
+    } catch (error) {
+        if (error instanceof ContractRevertError || !isRevertError(error)) {
+            return { error: error };
+        }
+        return { error: new ContractRevertError(decodeRevertError(error, read.contractInterface)) };
+    }
+}
+
+/**
+ * Send reads through Multicall3 aggregate3, MULTICALL_BATCH_SIZE reads per eth_call
+ *
+ * A batch whose aggregate call reverts (e.g. out of gas) is sent as single reads instead, as
+ * are all reads at a block before Multicall3 was deployed (the call returns no data).
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} address - The Multicall3 address of the chain
+ * @param {Array<Object>} reads - The prepared reads (see prepareMulticallRead)
+ * @param {Object} options - Optional request options (see executeSingleRead)
+ * @returns {Promise<Array<Object>>} One { result } or { error } per read
+ * @throws {Error} If an aggregate call fails for another reason than a revert
+ */
+async function executeAggregatedReads(chainId, address, reads, options) {
+    const batches = [];
+    for (let start = 0; start < reads.length; start += MULTICALL_BATCH_SIZE) {
+        batches.push(reads.slice(start, start + MULTICALL_BATCH_SIZE));
+    }
+
+    const outcomes = await Promise.all(batches.map(async batch => {
+        try {
+            const data = await forwardRpcRequest({
+                method: 'eth_call',
+                params: [{ to: address, data: encodeAggregate3(batch) }, options.blockTag]
+            }, chainId, options);
+            if (data === '0x') {
+                // 该区块时 Multicall3 尚未部署
+                return Promise.all(batch.map(read => executeSingleRead(chainId, read, options)));
+            }
+            return decodeAggregate3(data).map((call, index) => decodeMulticallRead(batch[index], call.success, call.returnData));
+        } catch (error) {
+            if (!isRevertError(error)) {
+                throw error;
+            }
+            console.warn(`Multicall3 aggregate call on chain ${chainId} reverted, sending ${batch.length} reads separately:`, error.message);
+            return Promise.all(batch.map(read => executeSingleRead(chainId, read, options)));
+        }
+    }));
+    return outcomes.flat();
+}
+
+/**
+ * Send reads as parallel eth_calls, MULTICALL_FALLBACK_CONCURRENCY at a time
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Array<Object>} reads - The prepared reads (see prepareMulticallRead)
+ * @param {Object} options - Optional request options (see executeSingleRead)
+ * @returns {Promise<Array<Object>>} One { result } or { error } per read
+ */
+async function executeParallelReads(chainId, reads, options) {
+    const outcomes = new Array(reads.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < reads.length) {
+            const index = next++;
+            outcomes[index] = await executeSingleRead(chainId, reads[index], options);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(MULTICALL_FALLBACK_CONCURRENCY, reads.length) }, worker));
+    return outcomes;
+}
+
+/**
+ * Read several view or pure contract functions in as few upstream calls as possible
+ *
+ * Reads are aggregated through Multicall3 on chains where it is deployed, and sent as
+ * parallel eth_calls elsewhere. Each read is decoded separately; a failing read is reported
+ * in its result, unless it sets allowFailure to false, which fails the whole request.
+ * Reads may be pinned to a block with options.blockTag; reads at historical blocks are routed
+ * away from nodes lacking historical state, and retried on archive nodes when a node fails
+ * with missing state.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Array<Object>} calls - The reads as { contractAddress, contractName, functionName, params, allowFailure }
+ * @param {Object} options - Optional request options
+ * @param {string} options.sessionKey - Client session key for sticky node routing
+ * @param {string} options.consistency - Requested read consistency ("quorum" or "single")
+ * @param {string} options.numberFormat - Format of the numbers of the results ("decimal" or "hex")
+ * @param {number|string} options.blockTag - Block of the reads: a block number, block hash or named tag (default: latest)
+ * @returns {Promise<Object>} { multicall, results } where multicall is the Multicall3 address used, or null
+ * @throws {ProxyError} If a read is invalid
+ * @throws {MulticallCallError} If a read that does not allow failure fails
+ */
+async function handleContractMulticall(chainId, calls, options = {}) {
+    if (!Array.isArray(calls) || calls.length === 0) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, 'calls must be a non-empty array');
+    }
+    if (calls.length > MAX_MULTICALL_CALLS) {
+        throw new ProxyError(ERROR_CODES.LIMIT_EXCEEDED, `At most ${MAX_MULTICALL_CALLS} calls are allowed per request, got ${calls.length}`);
+    }
+
+    const chain = getChainConfig(chainId);
+    if (!chain) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Configuration not found for chain ID ${chainId}`);
+    }
+
+    const numberFormat = resolveNumberFormat(options.numberFormat);
+    await loadAbiRegistry();
+    const interfaces = new Map();
+    const reads = calls.map((call, index) => prepareMulticallRead(call, index, interfaces, chain.chainId));
+
+    let address = getMulticallAddress(chain);
+    if (address && !(await hasMulticallDeployment(chainId, address, options))) {
+        address = null;
+    }
+
+    const blockTag = options.blockTag === undefined || options.blockTag === null ? 'latest' : options.blockTag;
+    const readOptions = {
+        sessionKey: options.sessionKey,
+        consistency: options.consistency,
+        blockTag: typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag,
+        historical: isHistoricalBlockTag(blockTag)
+    };
+
+    // 不支持 Multicall3 的链退回到并行单独调用
+    const outcomes = address
+        ? await executeAggregatedReads(chainId, address, reads, readOptions)
+        : await executeParallelReads(chainId, reads, readOptions);
+
+    const results = outcomes.map((outcome, index) => {
+        if (!outcome.error) {
+            return {
+                success: true,
+                result: formatFunctionResult(reads[index].fragment, outcome.result, numberFormat),
+                returnType: getReturnType(reads[index].fragment)
+            };
+        }
+        if (!reads[index].allowFailure) {
+            throw new MulticallCallError(index, reads[index].label, outcome.error);
+        }
+        return {
+            ...createErrorBody(outcome.error),
+            ...(outcome.error instanceof ContractRevertError && { revert: outcome.error.revert })
+        };
+    });
+
+    return { multicall: address, results: results };
+}
+
+/**
+ * Convert the decoded arguments of an event log to a JSON friendly object keyed by argument name
+ *
+ * Indexed arguments of dynamic types (string, bytes, arrays) are only stored in the log as
+ * their hash, they are returned as that hash.
+ *
+ * @param {ethers.EventFragment} fragment - The event fragment
+ * @param {ethers.Result} args - The decoded arguments
+ * @returns {Object} The arguments with BigInt values converted to strings
+ */
+function formatEventArgs(fragment, args) {
+    const formatted = {};
+    fragment.inputs.forEach((input, index) => {
+        const value = args[index];
+        formatted[input.name || String(index)] = value instanceof ethers.Indexed ? value.hash : serializeBigInt(value);
+    });
+    return formatted;
+}
+
+/**
+ * Get the decoded logs of a contract event
+ *
+ * Indexed arguments can be filtered by name, with a single value or an array of accepted
+ * values. Logs are read page by page with scanLogs, so large block ranges return a cursor
+ * for the next page; a cursor continues the scan with the filter of its first page.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} contractAddress - The contract address
+ * @param {string} contractName - The name of the contract ABI, optional for addresses bound in the ABI registry
+ * @param {string} eventName - The event name or signature, e.g. Transfer or Transfer(address,address,uint256)
+ * @param {Object} filters - Values of indexed arguments by argument name
+ * @param {Object} range - { fromBlock, toBlock } of a new scan, or { cursor } to continue one
+ * @param {Object} options - Optional scan options (see scanLogs)
+ * @returns {Promise<Object>} { event, signature, topic, fromBlock, toBlock, events, nextCursor }
+ * @throws {JsonRpcError} If the event or a filter is invalid
+ */
+async function getContractEvents(chainId, contractAddress, contractName, eventName, filters = {}, range = {}, options = {}) {
+    await loadAbiRegistry();
+    contractName = resolveContractName(chainId, contractAddress, contractName);
+    const contractAbi = getCallAbi(contractName);
+    if (!contractAbi) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CONTRACT, `Unsupported contract: ${contractName}`);
+    }
+    const contractInterface = new ethers.Interface(contractAbi);
+
+    let fragment;
+    try {
+        fragment = contractInterface.getEvent(eventName);
+    } catch (error) {
+        // 重载事件只传名称时无法确定具体事件
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, error.shortMessage || error.message);
+    }
+    if (!fragment) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Event ${eventName} not found in contract ${contractName}`);
+    }
+
+    const indexedNames = fragment.inputs.filter(input => input.indexed).map(input => input.name);
+    for (const name of Object.keys(filters)) {
+        if (!indexedNames.includes(name)) {
+            throw new ProxyError(
+                ERROR_CODES.INVALID_PARAMS,
+                `Cannot filter ${fragment.name} by ${name}, indexed arguments: ${indexedNames.join(', ') || 'none'}`
+            );
+        }
+    }
+
+    let topics;
+    try {
+        topics = contractInterface.encodeFilterTopics(fragment, fragment.inputs.map(input =>
+            input.indexed && filters[input.name] !== undefined ? filters[input.name] : null
+        ));
+    } catch (error) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid event filter: ${error.shortMessage || error.message}`);
+    }
+
+    const page = await scanLogs(chainId, range.cursor
+        ? { cursor: range.cursor }
+        : { address: contractAddress, topics: topics, fromBlock: range.fromBlock, toBlock: range.toBlock }, options);
+
+    const events = page.logs.map(log => {
+        let args = null;
+        try {
+            args = formatEventArgs(fragment, contractInterface.decodeEventLog(fragment, log.data, log.topics));
+        } catch (error) {
+            // 与 ABI 不匹配的日志（如同名的 ERC-721 Transfer）保留原始数据
+            console.error(`Failed to decode ${fragment.name} log in ${log.transactionHash}:`, error.message);
+        }
+        return {
+            event: fragment.name,
+            args: args,
+            address: log.address,
+            blockNumber: Number(log.blockNumber),
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            transactionIndex: Number(log.transactionIndex),
+            logIndex: Number(log.logIndex),
+            removed: !!log.removed,
+            topics: log.topics,
+            data: log.data
+        };
+    });
+
+    return {
+        event: fragment.name,
+        signature: fragment.format('sighash'),
+        topic: fragment.topicHash,
+        fromBlock: page.fromBlock,
+        toBlock: page.toBlock,
+        events: events,
+        nextCursor: page.nextCursor
+    };
+}
+
+/**
+ * Get list of supported contracts from ABI configuration and the ABI registry
  * @returns {Array<string>} Array of contract names
  */
 function getSupportedContracts() {
-    return Object.keys(abiConfig);
+    return getContractNames();
 }
 
 /**
  * Get list of functions for a specific contract
+ *
+ * Every function comes with its signature and selector, which select it in contract calls
+ * when its name is overloaded.
+ *
  * @param {string} contractName - The name of the contract
  * @returns {Array<Object>} Array of function objects with metadata
  */
 function getContractFunctions(contractName) {
-    const contractAbi = abiConfig[contractName];
+    const contractAbi = getContractAbi(contractName);
     if (!contractAbi) {
         return [];
     }
 
     return contractAbi
         .filter(item => item.type === 'function')
-        .map(item => ({
-            name: item.name,
-            inputs: item.inputs,
-            outputs: item.outputs,
-            stateMutability: item.stateMutability
-        }));
+        .map(item => {
+            const fragment = ethers.FunctionFragment.from(item);
+            return {
+                name: item.name,
+                signature: fragment.format('sighash'),
+                selector: fragment.selector,
+                inputs: item.inputs,
+                outputs: item.outputs,
+                stateMutability: item.stateMutability
+            };
+        });
 }
 
 // Export all functions and configurations
 export {
     rpcConfig,
     abiConfig,
+    RPC_TRANSPORTS,
+    getChainConfig,
+    getChainUrls,
     getRpcUrl,
+    getClientSessionKey,
+    getClientConsistency,
     createRpcProvider,
+    probeChainNodes,
+    getChainNodeStatus,
     handleRpcRequest,
+    forwardRpcRequest,
+    broadcastRawTransaction,
+    forwardRpcBatch,
+    handleRpcBatch,
+    scanLogs,
+    resolveContractName,
+    getContractFunction,
     handleContractCall,
+    handleContractMulticall,
+    serializeBigInt,
+    formatEventArgs,
+    getContractEvents,
     getSupportedContracts,
     getContractFunctions
 };
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * ERC-20 Tokens
+ *
+ * This module reads ERC-20 token metadata, balances and allowances. Metadata (name, symbol,
+ * decimals) never changes after deployment, so it is cached for a day in the configured cache
+ * backend. Amounts are returned both raw and formatted with the token's decimals.
+ *
+ * Some early tokens (e.g. MKR) return name and symbol as bytes32 instead of string; those are
+ * decoded from the raw return data.
+ */
+
+import { ethers } from 'ethers';
+import { abiConfig, getChainConfig, forwardRpcRequest, handleContractCall, handleContractMulticall } from './rpcHandler';
+import { getCachedValue, cacheValue } from './rpcCache';
+import { ERROR_CODES, ProxyError, createErrorBody } from './errors';
+
+// Time to live of cached token metadata
+const TOKEN_METADATA_TTL_SECONDS = 24 * 60 * 60;
+
+const tokenInterface = new ethers.Interface(abiConfig.token);
+
+/**
+ * Get the chain configuration of a token request
+ * @param {number|string} chainId - The chain ID or network ID
+ * @returns {Object} The chain configuration
+ * @throws {ProxyError} If the chain is not supported
+ */
+function requireChain(chainId) {
+    const chain = getChainConfig(chainId);
+    if (!chain) {
+        throw new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Unsupported chain ID: ${chainId}`);
+    }
+    return chain;
+}
+
+/**
+ * Validate and checksum an address parameter
+ * @param {any} value - The address
+ * @param {string} label - The parameter name used in the error message
+ * @returns {string} The checksummed address
+ * @throws {ProxyError} If the value is not an address
+ */
+function requireAddress(value, label) {
+    if (typeof value !== 'string' || !ethers.isAddress(value)) {
+        throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Invalid ${label} address: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Format a raw amount with its decimals
+ * @param {bigint|string} raw - The raw amount
+ * @param {number} decimals - The number of decimals
+ * @returns {Object} { raw, formatted } as decimal strings
+ */
+function formatTokenAmount(raw, decimals) {
+    const amount = BigInt(raw);
+    return { raw: amount.toString(), formatted: ethers.formatUnits(amount, decimals) };
+}
+
+/**
+ * Decode the return data of name() or symbol()
+ *
+ * Accepts the standard ABI-encoded string as well as the bytes32 return value of
+ * non-standard tokens, padded with trailing zero bytes.
+ *
+ * @param {string} data - The return data of the eth_call
+ * @returns {string|null} The decoded string, or null if the data is neither
+ */
+function decodeTokenString(data) {
+    try {
+        return ethers.AbiCoder.defaultAbiCoder().decode(['string'], data)[0];
+    } catch (error) {
+        // 非标准代币：bytes32 返回值
+    }
+
+    try {
+        const bytes = ethers.getBytes(data);
+        if (bytes.length !== 32) {
+            return null;
+        }
+        let end = bytes.length;
+        while (end > 0 && bytes[end - 1] === 0) {
+            end--;
+        }
+        return ethers.toUtf8String(bytes.subarray(0, end));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read name() or symbol() of a token whose return value is not an ABI string
+ * @param {number} chainId - The chain ID
+ * @param {string} token - The token address
+ * @param {string} functionName - name or symbol
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<string|null>} The decoded value, or null if it cannot be decoded
+ */
+async function readTokenString(chainId, token, functionName, options) {
+    const data = await forwardRpcRequest({
+        method: 'eth_call',
+        params: [{ to: token, data: tokenInterface.encodeFunctionData(functionName) }, 'latest']
+    }, chainId, options);
+    return decodeTokenString(data);
+}
+
+/**
+ * Resolve the name or symbol read of a token
+ *
+ * A reverted read means the token does not implement the function. A read that could not be
+ * decoded as a string is retried and decoded as bytes32.
+ *
+ * @param {number} chainId - The chain ID
+ * @param {string} token - The token address
+ * @param {string} functionName - name or symbol
+ * @param {Object} result - The multicall result of the read
+ * @param {Object} options - Optional request options (see forwardRpcRequest)
+ * @returns {Promise<Object>} { value, cacheable } where cacheable is false after a transient failure
+ */
+async function resolveTokenString(chainId, token, functionName, result, options) {
+    if (result.success) {
+        return { value: result.result, cacheable: true };
+    }
+    if (result.code === ERROR_CODES.EXECUTION_REVERTED) {
+        return { value: null, cacheable: true };
+    }
+
+    try {
+        return { value: await readTokenString(chainId, token, functionName, options), cacheable: true };
+    } catch (error) {
+        return { value: null, cacheable: false };
+    }
+}
+
+/**
+ * Get the metadata of several tokens on a chain
+ *
+ * Cached metadata is returned from the cache; name, symbol and decimals of the other tokens
+ * are read in a single multicall request and cached.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {Array<string>} tokens - The token addresses
+ * @param {Object} options - Optional request options (see handleContractMulticall)
+ * @returns {Promise<Array<Object>>} One { metadata } or { error } per token, in order
+ * @throws {ProxyError} If the chain or a token address is invalid
+ */
+async function getTokensMetadata(chainId, tokens, options = {}) {
+    const chain = requireChain(chainId);
+    const addresses = tokens.map((token, index) => requireAddress(token, `tokens[${index}]`));
+    const cacheKey = address => `token:${chain.chainId}:${address.toLowerCase()}`;
+
+    const entries = await Promise.all(addresses.map(async address => {
+        const metadata = await getCachedValue(cacheKey(address));
+        return metadata === undefined ? null : { metadata: metadata };
+    }));
+
+    const missing = addresses.filter((address, index) => entries[index] === null);
+    if (missing.length === 0) {
+        return entries;
+    }
+
+    const read = (token, functionName) => ({ contractAddress: token, contractName: 'token', functionName: functionName });
+    const { results } = await handleContractMulticall(chain.chainId,
+        missing.flatMap(token => [read(token, 'decimals'), read(token, 'name'), read(token, 'symbol')]), options);
+
+    const fetched = new Map();
+    await Promise.all(missing.map(async (address, index) => {
+        const [decimals, name, symbol] = results.slice(index * 3, index * 3 + 3);
+        if (!decimals.success) {
+            // decimals() 回滚或无法解码：不是 ERC-20 代币
+            const notToken = decimals.code === ERROR_CODES.EXECUTION_REVERTED || decimals.code === ERROR_CODES.UPSTREAM_BAD_RESPONSE;
+            fetched.set(address, {
+                error: notToken
+                    ? new ProxyError(ERROR_CODES.NOT_FOUND, `${address} is not an ERC-20 token on chain ${chain.chainId}`)
+                    : new ProxyError(decimals.code, decimals.error)
+            });
+            return;
+        }
+
+        const [nameValue, symbolValue] = await Promise.all([
+            resolveTokenString(chain.chainId, address, 'name', name, options),
+            resolveTokenString(chain.chainId, address, 'symbol', symbol, options)
+        ]);
+        const metadata = {
+            address: address,
+            name: nameValue.value,
+            symbol: symbolValue.value,
+            decimals: Number(decimals.result)
+        };
+        if (nameValue.cacheable && symbolValue.cacheable) {
+            await cacheValue(cacheKey(address), metadata, TOKEN_METADATA_TTL_SECONDS);
+        }
+        fetched.set(address, { metadata: metadata });
+    }));
+
+    return entries.map((entry, index) => entry || fetched.get(addresses[index]));
+}
+
+/**
+ * Get the metadata of a token
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} token - The token address
+ * @param {Object} options - Optional request options (see handleContractMulticall)
+ * @returns {Promise<Object>} { address, name, symbol, decimals }, name and symbol are null if not implemented
+ * @throws {ProxyError} If the address is not an ERC-20 token or the read fails
+ */
+async function getTokenMetadata(chainId, token, options = {}) {
+    const [entry] = await getTokensMetadata(chainId, [requireAddress(token, 'token')], options);
+    if (entry.error) {
+        throw entry.error;
+    }
+    return entry.metadata;
+}
+
+/**
+ * Get the total supply of a token
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} token - The token address
+ * @param {Object} options - Optional request options (see handleContractCall)
+ * @returns {Promise<Object>} The metadata with totalSupply as { raw, formatted }
+ * @throws {ProxyError} If the address is not an ERC-20 token or the read fails
+ */
+async function getTokenSupply(chainId, token, options = {}) {
+    const metadata = await getTokenMetadata(chainId, token, options);
+    const totalSupply = await handleContractCall(chainId, metadata.address, 'token', 'totalSupply', [], null, 0, options);
+    return { ...metadata, totalSupply: formatTokenAmount(totalSupply, metadata.decimals) };
+}
+
+/**
+ * Get the token balance of an owner
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} token - The token address
+ * @param {string} owner - The owner address
+ * @param {Object} options - Optional request options (see handleContractCall)
+ * @returns {Promise<Object>} { token, owner, raw, formatted } where token is the token metadata
+ * @throws {ProxyError} If an address is invalid, the token is not an ERC-20 token or the read fails
+ */
+async function getTokenBalance(chainId, token, owner, options = {}) {
+    const ownerAddress = requireAddress(owner, 'owner');
+    const metadata = await getTokenMetadata(chainId, token, options);
+    const balance = await handleContractCall(chainId, metadata.address, 'token', 'balanceOf', [ownerAddress], null, 0, options);
+    return { token: metadata, owner: ownerAddress, ...formatTokenAmount(balance, metadata.decimals) };
+}
+
+/**
+ * Get the amount of tokens a spender is allowed to spend on behalf of an owner
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} token - The token address
+ * @param {string} owner - The owner address
+ * @param {string} spender - The spender address
+ * @param {Object} options - Optional request options (see handleContractCall)
+ * @returns {Promise<Object>} { token, owner, spender, raw, formatted, unlimited } where unlimited is true for the maximum uint256 allowance
+ * @throws {ProxyError} If an address is invalid, the token is not an ERC-20 token or the read fails
+ */
+async function getTokenAllowance(chainId, token, owner, spender, options = {}) {
+    const ownerAddress = requireAddress(owner, 'owner');
+    const spenderAddress = requireAddress(spender, 'spender');
+    const metadata = await getTokenMetadata(chainId, token, options);
+    const allowance = await handleContractCall(chainId, metadata.address, 'token', 'allowance', [ownerAddress, spenderAddress], null, 0, options);
+    return {
+        token: metadata,
+        owner: ownerAddress,
+        spender: spenderAddress,
+        ...formatTokenAmount(allowance, metadata.decimals),
+        unlimited: BigInt(allowance) === ethers.MaxUint256
+    };
+}
+
+/**
+ * Get the balances of an owner for several tokens on a chain
+ *
+ * Balances are read in a single multicall request, alongside the metadata of tokens that
+ * are not cached yet.
+ *
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} owner - The owner address
+ * @param {Array<string>} tokens - The token addresses
+ * @param {Object} options - Optional request options (see handleContractMulticall)
+ * @returns {Promise<Array<Object>>} One { address, success, name, symbol, decimals, raw, formatted } or { address, success: false, error, code } per token
+ * @throws {ProxyError} If an address is invalid or the multicall request fails
+ */
+async function getTokenBalances(chainId, owner, tokens, options = {}) {
+    if (tokens.length === 0) {
+        return [];
+    }
+
+    const ownerAddress = requireAddress(owner, 'owner');
+    const [entries, { results }] = await Promise.all([
+        getTokensMetadata(chainId, tokens, options),
+        handleContractMulticall(chainId, tokens.map(token => ({
+            contractAddress: token,
+            contractName: 'token',
+            functionName: 'balanceOf',
+            params: [ownerAddress]
+        })), options)
+    ]);
+
+    return tokens.map((token, index) => {
+        const { metadata, error } = entries[index];
+        if (error) {
+            return { address: token, ...createErrorBody(error) };
+        }
+        if (!results[index].success) {
+            return { address: token, ...results[index] };
+        }
+        return {
+            address: token,
+            success: true,
+            name: metadata.name,
+            symbol: metadata.symbol,
+            decimals: metadata.decimals,
+            ...formatTokenAmount(results[index].result, metadata.decimals)
+        };
+    });
+}
+
+export {
+    TOKEN_METADATA_TTL_SECONDS,
+    formatTokenAmount,
+    decodeTokenString,
+    getTokenMetadata,
+    getTokenSupply,
+    getTokenBalance,
+    getTokenAllowance,
+    getTokenBalances
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Submitted Transaction Registry
+ *
+ * This module remembers the raw transactions broadcast through the proxy (sender, nonce and
+ * submission time by hash), so that a transaction that disappeared from the nodes can later
+ * be reported as dropped, or as replaced by another transaction with the same nonce.
+ * Records are kept in memory only.
+ */
+
+import { ethers } from 'ethers';
+
+// Maximum number of transactions remembered, the oldest are forgotten first
+const MAX_SUBMITTED_TRANSACTIONS = 10000;
+
+// Submitted transactions by hash
+const submittedTransactions = new Map();
+
+// Hashes of submitted transactions by chain, sender and nonce
+const transactionsByNonce = new Map();
+
+/**
+ * Build the key grouping transactions that share a sender and nonce
+ * @param {number} chainId - The chain ID
+ * @param {string} from - The sender address
+ * @param {number} nonce - The transaction nonce
+ * @returns {string} The key
+ */
+function getNonceKey(chainId, from, nonce) {
+    return `${chainId}:${from.toLowerCase()}:${nonce}`;
+}
+
+/**
+ * Record a raw transaction accepted by a node
+ *
+ * Transactions that cannot be parsed are ignored.
+ *
+ * @param {number|string} chainId - The chain ID the transaction was broadcast on
+ * @param {string} rawTransaction - The signed transaction as hex string
+ * @returns {Object|null} The recorded transaction, or null if it could not be parsed
+ */
+function recordSubmittedTransaction(chainId, rawTransaction) {
+    let transaction;
+    try {
+        transaction = ethers.Transaction.from(rawTransaction);
+    } catch (error) {
+        return null;
+    }
+    if (!transaction.hash || !transaction.from) {
+        return null;
+    }
+
+    const hash = transaction.hash.toLowerCase();
+    const existing = submittedTransactions.get(hash);
+    if (existing) {
+        return existing;
+    }
+
+    const record = {
+        chainId: Number(chainId),
+        hash: hash,
+        from: transaction.from,
+        nonce: transaction.nonce,
+        submittedAt: Date.now()
+    };
+    submittedTransactions.set(hash, record);
+
+    const nonceKey = getNonceKey(record.chainId, record.from, record.nonce);
+    if (!transactionsByNonce.has(nonceKey)) {
+        transactionsByNonce.set(nonceKey, new Set());
+    }
+    transactionsByNonce.get(nonceKey).add(hash);
+
+    // 超出容量时删除最早提交的交易
+    if (submittedTransactions.size > MAX_SUBMITTED_TRANSACTIONS) {
+        const [oldestHash, oldest] = submittedTransactions.entries().next().value;
+        submittedTransactions.delete(oldestHash);
+        const oldestKey = getNonceKey(oldest.chainId, oldest.from, oldest.nonce);
+        const hashes = transactionsByNonce.get(oldestKey);
+        if (hashes) {
+            hashes.delete(oldestHash);
+            if (hashes.size === 0) {
+                transactionsByNonce.delete(oldestKey);
+            }
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Get a transaction broadcast through the proxy
+ * @param {number|string} chainId - The chain ID
+ * @param {string} hash - The transaction hash
+ * @returns {Object|null} The recorded transaction { chainId, hash, from, nonce, submittedAt }
+ */
+function getSubmittedTransaction(chainId, hash) {
+    const record = submittedTransactions.get(String(hash).toLowerCase());
+    return record && record.chainId === Number(chainId) ? record : null;
+}
+
+/**
+ * Get the other transactions broadcast through the proxy with the same sender and nonce
+ * @param {Object} record - The recorded transaction
+ * @returns {Array<string>} The hashes of the other transactions
+ */
+function getSameNonceTransactions(record) {
+    const hashes = transactionsByNonce.get(getNonceKey(record.chainId, record.from, record.nonce));
+    return hashes ? [...hashes].filter(hash => hash !== record.hash) : [];
+}
+
+export {
+    recordSubmittedTransaction,
+    getSubmittedTransaction,
+    getSameNonceTransactions
+};
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Transaction Status
+ *
+ * This module follows a transaction through its lifecycle (pending, mined, confirmed, reverted,
+ * dropped or replaced) using the regular node selection of the RPC handler. Transactions
+ * broadcast through the proxy are remembered, so that they can still be reported as dropped
+ * or replaced once the nodes forget them.
+ */
+
+import { ethers } from 'ethers';
+import { forwardRpcRequest } from './rpcHandler';
+import { getSubmittedTransaction, getSameNonceTransactions } from './txRegistry';
+import { decodeRevertError } from './revertDecoder';
+
+const TX_STATUSES = {
+    PENDING: 'pending',
+    MINED: 'mined',
+    CONFIRMED: 'confirmed',
+    REVERTED: 'reverted',
+    DROPPED: 'dropped',
+    REPLACED: 'replaced'
+};
+
+// Default number of confirmations after which a mined transaction is reported as confirmed
+const DEFAULT_CONFIRMATIONS = 12;
+
+// Time after submission during which a transaction unknown to the nodes is still reported as
+// pending, since it may not have propagated yet
+const DROP_GRACE_MS = 60 * 1000;
+
+/**
+ * Replay a reverted transaction to find its revert reason
+ * @param {Function} call - Function (method, params) performing an RPC read
+ * @param {Object} transaction - The transaction as returned by eth_getTransactionByHash
+ * @param {number} blockNumber - The block the transaction was mined in
+ * @returns {Promise<Object|null>} The decoded revert, or null if the replay did not revert
+ */
+async function getRevertReason(call, transaction, blockNumber) {
+    const callRequest = {
+        from: transaction.from,
+        to: transaction.to,
+        data: transaction.input,
+        value: transaction.value,
+        gas: transaction.gas
+    };
+
+    try {
+        // 在交易所在区块的父区块状态上重放交易
+        await call('eth_call', [callRequest, ethers.toQuantity(Math.max(blockNumber - 1, 0))]);
+        return null;
+    } catch (error) {
+        return decodeRevertError(error);
+    }
+}
+
+/**
+ * Find which of the transactions broadcast with the same sender and nonce was mined
+ * @param {Function} call - Function (method, params) performing an RPC read
+ * @param {Object} record - The transaction { chainId, hash, from, nonce }
+ * @returns {Promise<string|null>} The hash of the replacing transaction, if it went through the proxy
+ */
+async function findReplacement(call, record) {
+    for (const hash of getSameNonceTransactions(record)) {
+        const receipt = await call('eth_getTransactionReceipt', [hash]);
+        if (receipt) {
+            return hash;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether the nonce of a transaction was used by a mined transaction
+ * @param {Function} call - Function (method, params) performing an RPC read
+ * @param {string} from - The sender address
+ * @param {number} nonce - The transaction nonce
+ * @returns {Promise<boolean>} True if the sender's mined nonce is past the transaction nonce
+ */
+async function isNonceUsed(call, from, nonce) {
+    const minedCount = Number(await call('eth_getTransactionCount', [from, 'latest']));
+    return minedCount > nonce;
+}
+
+/**
+ * Complete the status of a mined transaction: mined, confirmed or reverted
+ * @param {Function} call - Function (method, params) performing an RPC read
+ * @param {Object} status - The status built so far, completed in place
+ * @param {Object|null} transaction - The transaction as returned by eth_getTransactionByHash
+ * @param {Object|null} receipt - The receipt, null if only the transaction is known as mined
+ * @param {number} requiredConfirmations - Confirmations required for the confirmed status
+ * @returns {Promise<Object>} The transaction status
+ */
+async function describeMinedTransaction(call, status, transaction, receipt, requiredConfirmations) {
+    const blockNumber = Number((receipt || transaction).blockNumber);
+    const head = Number(await call('eth_blockNumber', []));
+    // The head may be read from a node slightly behind the one that returned the receipt
+    const confirmations = Math.max(head - blockNumber + 1, 1);
+
+    Object.assign(status, {
+        blockNumber: blockNumber,
+        blockHash: (receipt || transaction).blockHash,
+        confirmations: confirmations,
+        requiredConfirmations: requiredConfirmations
+    });
+
+    if (!receipt) {
+        status.status = TX_STATUSES.MINED;
+        return status;
+    }
+
+    status.gasUsed = BigInt(receipt.gasUsed).toString();
+    if (receipt.effectiveGasPrice) {
+        status.effectiveGasPrice = BigInt(receipt.effectiveGasPrice).toString();
+    }
+
+    if (receipt.status === '0x0') {
+        status.status = TX_STATUSES.REVERTED;
+        status.revert = transaction ? await getRevertReason(call, transaction, blockNumber) : null;
+        return status;
+    }
+
+    status.status = confirmations >= requiredConfirmations ? TX_STATUSES.CONFIRMED : TX_STATUSES.MINED;
+    return status;
+}
+
+/**
+ * Get the lifecycle status of a transaction
+ * @param {number|string} chainId - The chain ID or network ID
+ * @param {string} hash - The transaction hash
+ * @param {Object} options - Optional request options, passed on to forwardRpcRequest
+ * @param {number} options.confirmations - Confirmations required for the confirmed status (default: 12)
+ * @returns {Promise<Object|null>} The transaction status, or null if the transaction is unknown
+ * @throws {Error} If the nodes could not be queried
+ */
+async function getTransactionStatus(chainId, hash, options = {}) {
+    const requiredConfirmations = Number.isInteger(options.confirmations) ? options.confirmations : DEFAULT_CONFIRMATIONS;
+    const call = (method, params) => forwardRpcRequest({ method: method, params: params }, chainId, options);
+
+    const [transaction, receipt] = await Promise.all([
+        call('eth_getTransactionByHash', [hash]),
+        call('eth_getTransactionReceipt', [hash])
+    ]);
+    const submitted = getSubmittedTransaction(chainId, hash);
+
+    const status = {
+        hash: hash,
+        status: null,
+        from: transaction ? transaction.from : submitted ? submitted.from : null,
+        to: transaction ? transaction.to : null,
+        nonce: transaction ? Number(transaction.nonce) : submitted ? submitted.nonce : null,
+        submittedAt: submitted ? new Date(submitted.submittedAt).toISOString() : null
+    };
+
+    // Mined: successful, or reverted
+    if (receipt || (transaction && transaction.blockNumber)) {
+        return describeMinedTransaction(call, status, transaction, receipt, requiredConfirmations);
+    }
+
+    if (!transaction && !submitted) {
+        return null;
+    }
+
+    // Not mined: pending, unless another transaction with the same nonce was mined
+    const record = {
+        chainId: Number(chainId),
+        hash: hash.toLowerCase(),
+        from: status.from,
+        nonce: status.nonce
+    };
+    if (await isNonceUsed(call, record.from, record.nonce)) {
+        // 交易可能在查询收据之后才被打包，报告被替换前再查一次收据
+        const minedReceipt = transaction ? await call('eth_getTransactionReceipt', [hash]) : null;
+        if (minedReceipt) {
+            return describeMinedTransaction(call, status, transaction, minedReceipt, requiredConfirmations);
+        }
+        status.status = TX_STATUSES.REPLACED;
+        status.replacedBy = await findReplacement(call, record);
+        return status;
+    }
+
+    // 节点已不再持有该交易，且超过传播等待时间，视为已丢弃
+    status.status = transaction || Date.now() - submitted.submittedAt < DROP_GRACE_MS
+        ? TX_STATUSES.PENDING
+        : TX_STATUSES.DROPPED;
+    return status;
+}
+
+export {
+    TX_STATUSES,
+    DEFAULT_CONFIRMATIONS,
+    getTransactionStatus
+};
\ No newline at end of file
@@ -0,0 +1,593 @@
+/**
+ * WebSocket Subscription Proxy
+ *
+ * This module serves JSON-RPC over WebSocket for each supported chain (/api/ws/[chainId]).
+ * eth_subscribe and eth_unsubscribe are proxied to a healthy wss:// node of the chain, shared
+ * by all clients of that chain, while every other method is forwarded over HTTP like on the
+ * JSON-RPC endpoint. Clients get stable subscription ids from the proxy: when the upstream
+ * node fails, the proxy connects to another node and re-establishes every subscription
+ * under the same ids.
+ */
+
+import { randomBytes } from 'crypto';
+import WebSocket, { WebSocketServer } from 'ws';
+import { RPC_TRANSPORTS, getChainConfig, getRpcUrl, getClientSessionKey, forwardRpcRequest } from './rpcHandler';
+import { recordNodeSuccess, recordNodeFailure, recordNodeHead } from './nodeHealth';
+import {
+    JSONRPC_VERSION,
+    JSONRPC_ERRORS,
+    JsonRpcError,
+    validateJsonRpcRequest,
+    isNotification,
+    getRequestId,
+    createResultResponse,
+    createErrorResponse
+} from './jsonRpc';
+import { ERROR_CODES, ProxyError, toJsonRpcError } from './errors';
+
+// Subscription types that can be proxied
+const SUBSCRIPTION_TYPES = ['newHeads', 'logs', 'newPendingTransactions'];
+
+// Upstream connection and request timeouts
+const UPSTREAM_CONNECT_TIMEOUT_MS = 10 * 1000;
+const UPSTREAM_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Interval of the upstream keepalive ping, a node missing a pong is treated as failed
+const UPSTREAM_PING_INTERVAL_MS = 30 * 1000;
+
+// Number of nodes tried per connection attempt
+const MAX_CONNECT_ATTEMPTS = 3;
+
+// Delay before re-establishing subscriptions after a failed attempt, doubled up to the maximum
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+
+// Path of the WebSocket endpoint, with the chain ID as only parameter
+const WS_PATH_PATTERN = /^\/api\/ws\/([^/?#]+)\/?(?:[?#]|$)/;
+
+// Upstream connection per chain
+const upstreams = new Map();
+
+/**
+ * Create a subscription id handed out to clients
+ * @returns {string} A random 128-bit hex id
+ */
+function createSubscriptionId() {
+    return `0x${randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Send a message to a client if its connection is still open
+ * @param {WebSocket} client - The client connection
+ * @param {Object|Array} message - The JSON-RPC message
+ */
+function sendToClient(client, message) {
+    if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Upstream WebSocket connection of a chain and the client subscriptions running on it
+ */
+class ChainUpstream {
+    /**
+     * @param {number} chainId - The chain ID
+     */
+    constructor(chainId) {
+        this.chainId = chainId;
+        this.socket = null;
+        this.url = null;
+        this.connecting = null;
+        this.alive = false;
+        this.pingTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = RECONNECT_BASE_DELAY_MS;
+        this.nextRequestId = 1;
+        // Pending upstream requests: id -> { resolve, reject, timer, onResult }
+        this.pendingRequests = new Map();
+        // Client subscriptions: proxy id -> { client, params, upstreamId }
+        this.subscriptions = new Map();
+        // Upstream subscription id -> proxy id
+        this.upstreamIds = new Map();
+    }
+
+    /**
+     * Open a WebSocket connection to a node
+     * @param {string} url - The wss:// URL of the node
+     * @returns {Promise<WebSocket>} The open connection
+     */
+    openSocket(url) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(url, {
+                handshakeTimeout: UPSTREAM_CONNECT_TIMEOUT_MS,
+                headers: {
+                    'User-Agent': 'BestProxyWallet/1.0'
+                }
+            });
+            socket.on('error', error => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    console.error(`WebSocket RPC node ${url} error:`, error.message);
+                } else {
+                    reject(error);
+                }
+            });
+            socket.once('open', () => resolve(socket));
+        });
+    }
+
+    /**
+     * Connect to a healthy WebSocket node of the chain, trying other nodes on failure
+     * @returns {Promise<void>}
+     * @throws {Error} If no node could be connected
+     */
+    async connect() {
+        const triedUrls = new Set();
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= MAX_CONNECT_ATTEMPTS; attempt++) {
+            const url = await getRpcUrl(this.chainId, { transport: RPC_TRANSPORTS.WS, exclude: triedUrls });
+            if (triedUrls.has(url)) {
+                break;
+            }
+            triedUrls.add(url);
+
+            const startedAt = Date.now();
+            try {
+                const socket = await this.openSocket(url);
+                recordNodeSuccess(url, Date.now() - startedAt);
+                if (upstreams.get(this.chainId) !== this) {
+                    // 连接期间所有订阅已取消，上游已被移除
+                    socket.close();
+                    return;
+                }
+                this.attach(socket, url);
+                return;
+            } catch (error) {
+                lastError = error;
+                console.error(`WebSocket RPC node ${url} connection failed (attempt ${attempt}/${MAX_CONNECT_ATTEMPTS}):`, error.message);
+                recordNodeFailure(url, error);
+            }
+        }
+
+        throw lastError || new ProxyError(ERROR_CODES.NO_AVAILABLE_NODES, `No available WebSocket RPC nodes for chain ${this.chainId}`);
+    }
+
+    /**
+     * Make an open connection the current upstream connection
+     * @param {WebSocket} socket - The open connection
+     * @param {string} url - The URL of the node
+     */
+    attach(socket, url) {
+        this.socket = socket;
+        this.url = url;
+        this.alive = true;
+
+        socket.on('message', data => this.handleMessage(data));
+        socket.on('pong', () => {
+            this.alive = true;
+        });
+        socket.on('close', () => this.handleClose(socket));
+
+        this.pingTimer = setInterval(() => {
+            if (!this.alive) {
+                console.warn(`WebSocket RPC node ${url} did not answer ping`);
+                socket.terminate();
+                return;
+            }
+            this.alive = false;
+            socket.ping();
+        }, UPSTREAM_PING_INTERVAL_MS);
+    }
+
+    /**
+     * Connect if there is no open upstream connection yet
+     * @returns {Promise<void>}
+     */
+    ensureConnected() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            return Promise.resolve();
+        }
+        if (!this.connecting) {
+            this.connecting = this.connect().finally(() => {
+                this.connecting = null;
+            });
+        }
+        return this.connecting;
+    }
+
+    /**
+     * Send a JSON-RPC request on the upstream connection
+     * @param {string} method - The RPC method
+     * @param {Array} params - The RPC params
+     * @param {Function} onResult - Optional callback run synchronously when the result arrives,
+     *                              before notifications received right after it are handled
+     * @returns {Promise<any>} The result
+     * @throws {JsonRpcError|Error} If there is no open connection, or the node returns an error,
+     *                               disconnects or times out
+     */
+    request(method, params, onResult = null) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new ProxyError(ERROR_CODES.UPSTREAM_UNAVAILABLE, `No open WebSocket connection for chain ${this.chainId}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new ProxyError(ERROR_CODES.UPSTREAM_TIMEOUT, `WebSocket RPC node ${this.url} request timeout`));
+            }, UPSTREAM_REQUEST_TIMEOUT_MS);
+
+            this.pendingRequests.set(id, { resolve, reject, timer, onResult });
+            this.socket.send(JSON.stringify({ jsonrpc: JSONRPC_VERSION, id: id, method: method, params: params }));
+        });
+    }
+
+    /**
+     * Handle a message from the upstream node: a request response or a subscription notification
+     * @param {Buffer|string} data - The raw message
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.error(`WebSocket RPC node ${this.url} sent invalid JSON`);
+            return;
+        }
+
+        if (message.method === 'eth_subscription' && message.params) {
+            const proxyId = this.upstreamIds.get(message.params.subscription);
+            const subscription = proxyId && this.subscriptions.get(proxyId);
+            if (!subscription) {
+                return;
+            }
+
+            // New heads double as head observations for block lag detection
+            if (subscription.params[0] === 'newHeads' && message.params.result) {
+                recordNodeHead(this.chainId, this.url, Number(message.params.result.number));
+            }
+
+            sendToClient(subscription.client, {
+                jsonrpc: JSONRPC_VERSION,
+                method: 'eth_subscription',
+                params: {
+                    subscription: proxyId,
+                    result: message.params.result
+                }
+            });
+            return;
+        }
+
+        const pending = this.pendingRequests.get(message.id);
+        if (!pending) {
+            return;
+        }
+        this.pendingRequests.delete(message.id);
+        clearTimeout(pending.timer);
+
+        if (message.error) {
+            pending.reject(new JsonRpcError(message.error.code, message.error.message, message.error.data));
+            return;
+        }
+        if (pending.onResult) {
+            pending.onResult(message.result);
+        }
+        pending.resolve(message.result);
+    }
+
+    /**
+     * Handle the upstream connection closing: fail pending requests and fail over to another node
+     * @param {WebSocket} socket - The connection that closed
+     */
+    handleClose(socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+        clearInterval(this.pingTimer);
+        this.socket = null;
+
+        const error = new ProxyError(ERROR_CODES.UPSTREAM_UNAVAILABLE, `WebSocket RPC node ${this.url} disconnected`);
+        console.warn(error.message);
+        recordNodeFailure(this.url, error);
+
+        for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+        this.pendingRequests.clear();
+
+        // Upstream subscriptions died with the connection, clients keep their proxy ids
+        this.upstreamIds.clear();
+        for (const subscription of this.subscriptions.values()) {
+            subscription.upstreamId = null;
+        }
+
+        if (this.subscriptions.size > 0) {
+            this.scheduleResubscribe();
+        }
+    }
+
+    /**
+     * Re-establish the subscriptions lost with a failed connection after the reconnect delay
+     */
+    scheduleResubscribe() {
+        if (this.reconnectTimer) {
+            return;
+        }
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                for (const [proxyId, subscription] of this.subscriptions) {
+                    if (subscription.upstreamId === null) {
+                        await this.subscribeUpstream(proxyId, subscription);
+                    }
+                }
+                this.reconnectDelay = RECONNECT_BASE_DELAY_MS;
+                console.log(`Re-established ${this.subscriptions.size} subscription(s) for chain ${this.chainId} on ${this.url}`);
+            } catch (error) {
+                console.error(`Resubscribing on chain ${this.chainId} failed:`, error.message);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY_MS);
+                if (this.subscriptions.size > 0) {
+                    this.scheduleResubscribe();
+                }
+            }
+        }, this.reconnectDelay);
+    }
+
+    /**
+     * Create the upstream subscription of a client subscription
+     * @param {string} proxyId - The subscription id handed out to the client
+     * @param {Object} subscription - The client subscription
+     * @returns {Promise<void>}
+     */
+    async subscribeUpstream(proxyId, subscription) {
+        await this.ensureConnected();
+        await this.request('eth_subscribe', subscription.params, upstreamId => {
+            if (this.subscriptions.get(proxyId) === subscription) {
+                subscription.upstreamId = upstreamId;
+                this.upstreamIds.set(upstreamId, proxyId);
+            } else {
+                // 客户端在订阅完成前已取消
+                this.request('eth_unsubscribe', [upstreamId]).catch(() => {});
+                this.closeIfIdle();
+            }
+        });
+    }
+
+    /**
+     * Subscribe a client
+     * @param {WebSocket} client - The client connection
+     * @param {Array} params - The eth_subscribe params
+     * @returns {Promise<string>} The subscription id for the client
+     * @throws {JsonRpcError|Error} If the subscription could not be created
+     */
+    async subscribe(client, params) {
+        const proxyId = createSubscriptionId();
+        const subscription = { client: client, params: params, upstreamId: null };
+        this.subscriptions.set(proxyId, subscription);
+
+        try {
+            await this.subscribeUpstream(proxyId, subscription);
+        } catch (error) {
+            this.subscriptions.delete(proxyId);
+            this.closeIfIdle();
+            throw error;
+        }
+        return proxyId;
+    }
+
+    /**
+     * Cancel a client subscription
+     * @param {WebSocket} client - The client connection
+     * @param {string} proxyId - The subscription id handed out to the client
+     * @returns {boolean} True if the client had this subscription
+     */
+    unsubscribe(client, proxyId) {
+        const subscription = this.subscriptions.get(proxyId);
+        if (!subscription || subscription.client !== client) {
+            return false;
+        }
+
+        this.subscriptions.delete(proxyId);
+        if (subscription.upstreamId !== null) {
+            this.upstreamIds.delete(subscription.upstreamId);
+            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                this.request('eth_unsubscribe', [subscription.upstreamId]).catch(() => {});
+            }
+        }
+        this.closeIfIdle();
+        return true;
+    }
+
+    /**
+     * Cancel all subscriptions of a disconnected client
+     * @param {WebSocket} client - The client connection
+     */
+    removeClient(client) {
+        for (const [proxyId, subscription] of [...this.subscriptions]) {
+            if (subscription.client === client) {
+                this.unsubscribe(client, proxyId);
+            }
+        }
+    }
+
+    /**
+     * Close the upstream connection once no subscription uses it anymore, failing the requests
+     * still pending on it
+     */
+    closeIfIdle() {
+        if (this.subscriptions.size > 0) {
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        clearInterval(this.pingTimer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+
+        const error = new ProxyError(ERROR_CODES.UPSTREAM_UNAVAILABLE, `WebSocket connection of chain ${this.chainId} closed`);
+        for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+        this.pendingRequests.clear();
+
+        if (upstreams.get(this.chainId) === this) {
+            upstreams.delete(this.chainId);
+        }
+    }
+}
+
+/**
+ * Get the upstream connection of a chain, creating it if needed
+ * @param {number} chainId - The chain ID
+ * @returns {ChainUpstream} The upstream connection
+ */
+function getUpstream(chainId) {
+    if (!upstreams.has(chainId)) {
+        upstreams.set(chainId, new ChainUpstream(chainId));
+    }
+    return upstreams.get(chainId);
+}
+
+/**
+ * Handle a single JSON-RPC request received from a client
+ * @param {WebSocket} client - The client connection
+ * @param {number} chainId - The chain ID of the connection
+ * @param {any} request - The request object
+ * @param {Object} options - Request options passed on to forwardRpcRequest
+ * @returns {Promise<Object|null>} The response, or null for notifications
+ */
+async function handleClientRequest(client, chainId, request, options) {
+    const id = getRequestId(request);
+    try {
+        validateJsonRpcRequest(request);
+
+        let result;
+        const params = Array.isArray(request.params) ? request.params : [];
+        if (request.method === 'eth_subscribe') {
+            if (!SUBSCRIPTION_TYPES.includes(params[0])) {
+                throw new ProxyError(ERROR_CODES.INVALID_PARAMS, `Unsupported subscription type: ${params[0]}`, { supported: SUBSCRIPTION_TYPES });
+            }
+            result = await getUpstream(chainId).subscribe(client, params);
+        } else if (request.method === 'eth_unsubscribe') {
+            const upstream = upstreams.get(chainId);
+            result = upstream ? upstream.unsubscribe(client, params[0]) : false;
+        } else {
+            result = await forwardRpcRequest(request, chainId, options);
+        }
+
+        return isNotification(request) ? null : createResultResponse(id, result);
+    } catch (error) {
+        console.error('WebSocket JSON-RPC request error:', error.message);
+        return isNotification(request) ? null : createErrorResponse(id, toJsonRpcError(error));
+    }
+}
+
+/**
+ * Serve a client WebSocket connection for a chain
+ * @param {WebSocket} client - The client connection
+ * @param {number} chainId - The chain ID
+ * @param {Object} req - The HTTP upgrade request
+ */
+function handleClientConnection(client, chainId, req) {
+    const options = { sessionKey: getClientSessionKey(req) };
+
+    client.on('message', async data => {
+        let request;
+        try {
+            request = JSON.parse(data.toString());
+        } catch (error) {
+            sendToClient(client, createErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error')));
+            return;
+        }
+
+        if (!Array.isArray(request)) {
+            const response = await handleClientRequest(client, chainId, request, options);
+            if (response) {
+                sendToClient(client, response);
+            }
+            return;
+        }
+
+        if (request.length === 0) {
+            sendToClient(client, createErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request', 'empty batch')));
+            return;
+        }
+        const responses = await Promise.all(request.map(item => handleClientRequest(client, chainId, item, options)));
+        const answered = responses.filter(response => response !== null);
+        if (answered.length > 0) {
+            sendToClient(client, answered);
+        }
+    });
+
+    client.on('close', () => {
+        const upstream = upstreams.get(chainId);
+        if (upstream) {
+            upstream.removeClient(client);
+        }
+    });
+
+    client.on('error', error => {
+        console.error('WebSocket client error:', error.message);
+    });
+}
+
+/**
+ * Attach the WebSocket proxy to an HTTP server
+ *
+ * Upgrade requests to /api/ws/[chainId] are accepted for supported chains, other upgrade
+ * requests (e.g. the Next.js dev server's) are left alone. Attaching twice is a no-op.
+ *
+ * @param {Object} server - The Node.js HTTP server
+ * @returns {WebSocketServer} The WebSocket server
+ */
+function attachWebSocketProxy(server) {
+    if (server.rpcWebSocketServer) {
+        return server.rpcWebSocketServer;
+    }
+
+    const wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (req, socket, head) => {
+        const match = WS_PATH_PATTERN.exec(req.url || '');
+        if (!match) {
+            return;
+        }
+
+        const chain = getChainConfig(Number(match[1]));
+        if (!chain) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, client => handleClientConnection(client, chain.chainId, req));
+    });
+
+    server.rpcWebSocketServer = wss;
+    return wss;
+}
+
+/**
+ * Get the upstream connection and subscription count of every chain with subscriptions
+ * @returns {Array<Object>} One entry per chain: { chainId, node, connected, subscriptions }
+ */
+function getWebSocketStats() {
+    return [...upstreams.values()].map(upstream => ({
+        chainId: upstream.chainId,
+        node: upstream.url,
+        connected: !!upstream.socket && upstream.socket.readyState === WebSocket.OPEN,
+        subscriptions: upstream.subscriptions.size
+    }));
+}
+
+export {
+    SUBSCRIPTION_TYPES,
+    attachWebSocketProxy,
+    getWebSocketStats
+};
\ No newline at end of file
@@ -2,6 +2,10 @@
 const nextConfig = {
     reactStrictMode: true,
     swcMinify: true,
+    experimental: {
+        // Attaches the WebSocket proxy at startup, see instrumentation.js
+        instrumentationHook: true,
+    },
 }
 
 module.exports = nextConfig
\ No newline at end of file
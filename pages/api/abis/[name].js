@@ -0,0 +1,77 @@
+import { loadAbiRegistry, authorizeAbiAdmin, getAbi, setAbiBindings, deleteAbi } from '../../../lib/abiRegistry';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for a Single ABI of the Registry
+ *
+ * GET returns the ABI (latest version, or ?version=N). PUT replaces its chain and address
+ * bindings with { bindings }. DELETE deletes the ABI, or a single version with ?version=N.
+ * Requires the ABI_ADMIN_TOKEN as Bearer token.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        authorizeAbiAdmin(req);
+        await loadAbiRegistry();
+
+        const { name } = req.query;
+        let version;
+        if (req.query.version !== undefined) {
+            version = Number(req.query.version);
+            if (!Number.isInteger(version) || version < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'version must be a positive integer',
+                    code: ERROR_CODES.INVALID_PARAMS
+                });
+            }
+        }
+
+        if (req.method === 'GET') {
+            const abi = getAbi(name, version);
+            if (!abi) {
+                return res.status(404).json({
+                    success: false,
+                    error: version === undefined ? `ABI ${name} not found` : `Version ${version} of ABI ${name} not found`,
+                    code: ERROR_CODES.NOT_FOUND
+                    // 未找到 ABI
+                });
+            }
+            return res.json({
+                success: true,
+                ...abi
+            });
+        }
+
+        if (req.method === 'PUT') {
+            const { bindings } = req.body || {};
+            const updated = await setAbiBindings(name, bindings);
+            return res.json({
+                success: true,
+                ...updated
+            });
+        }
+
+        const remaining = await deleteAbi(name, version);
+        res.json({
+            success: true,
+            name: name,
+            deleted: version === undefined ? 'all' : version,
+            remaining: remaining
+        });
+    } catch (error) {
+        console.error('ABI registry error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { loadAbiRegistry, authorizeAbiAdmin, registerAbi, listAbis } from '../../../lib/abiRegistry';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for the ABI Registry
+ *
+ * GET lists the ABIs of abi.json and of the registry with their versions and bindings.
+ * POST registers a new version of an ABI: { name, abi, bindings }, where abi is a JSON ABI
+ * or an array of human-readable signatures and bindings optionally binds the ABI to chain
+ * and address pairs. Requires the ABI_ADMIN_TOKEN as Bearer token.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        authorizeAbiAdmin(req);
+        await loadAbiRegistry();
+
+        if (req.method === 'GET') {
+            return res.json({
+                success: true,
+                abis: listAbis()
+            });
+        }
+
+        const { name, abi, bindings } = req.body || {};
+        if (!name || !abi) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters',
+                code: ERROR_CODES.INVALID_PARAMS,
+                required: ['name', 'abi']
+                // 缺少必要参数
+            });
+        }
+
+        const registered = await registerAbi(name, abi, { bindings: bindings });
+        res.status(201).json({
+            success: true,
+            ...registered
+        });
+    } catch (error) {
+        console.error('ABI registry error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -1,10 +1,12 @@
 import { rpcConfig } from '../../lib/rpcHandler';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../lib/errors';
 
 export default function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({
             success: false,
-            error: 'Method not allowed'
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
         });
     }
 
@@ -22,9 +24,6 @@ export default function handler(req, res) {
             chains: chains
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
     }
 }
\ No newline at end of file
@@ -1,11 +1,23 @@
-import { rpcConfig, abiConfig, getSupportedContracts, handleContractCall } from '../../../lib/rpcHandler';
+import { rpcConfig, getSupportedContracts, resolveContractName, getContractFunction, handleContractCall, getClientSessionKey, getClientConsistency } from '../../../lib/rpcHandler';
+import { loadAbiRegistry } from '../../../lib/abiRegistry';
+import { resolveInlineAbi } from '../../../lib/inlineAbi';
+import { getReturnType } from '../../../lib/contractAbi';
+import { resolveBlockTag } from '../../../lib/blockTag';
+import { QuorumError } from '../../../lib/quorum';
+import { ContractRevertError } from '../../../lib/revertDecoder';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
 
 /**
  * API Handler for Contract Calls
  *
  * This endpoint handles smart contract function calls across different blockchain networks.
  * It validates parameters, checks contract support, and forwards the call to the appropriate
- * blockchain network based on the provided chain ID.
+ * blockchain network based on the provided chain ID. contractName may be omitted for addresses
+ * bound to an ABI in the ABI registry. Contracts without a configured ABI can be called with
+ * an inline ABI (abi): a JSON ABI fragment, an array of fragments or a human-readable signature.
+ * Read results are shaped after the function's ABI outputs, with numbers as decimal strings or,
+ * with numberFormat "hex", as hex quantities. Reads can be made at a past block with blockTag:
+ * a block number or hash, safe, finalized, or a point in time resolved to its block.
  *
  * @param {Object} req - The HTTP request object
  * @param {Object} res - The HTTP response object
@@ -16,7 +28,8 @@ export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({
             success: false,
-            error: 'Method not allowed'
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
         });
     }
 
@@ -27,19 +40,23 @@ export default async function handler(req, res) {
             contractAddress,
             contractName,
             functionName,
+            abi,
             params = [],
             fromAddress,
-            value = 0
+            value = 0,
+            numberFormat,
+            blockTag
         } = req.body;
 
-        // Validate required parameters
-        if (!chainId || !contractAddress || !contractName || !functionName) {
+        // Validate required parameters, functionName is optional for single-function inline ABIs
+        if (!chainId || !contractAddress || (!functionName && abi === undefined)) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required parameters',
-                required: ['chainId', 'contractAddress', 'contractName', 'functionName']
+                code: ERROR_CODES.INVALID_PARAMS,
+                required: ['chainId', 'contractAddress', 'functionName']
                 // 缺少必要参数
-                // 需要 chainId, contractAddress, contractName, functionName
+                // 需要 chainId, contractAddress, functionName
             });
         }
 
@@ -48,31 +65,48 @@ export default async function handler(req, res) {
         if (!chainExists) {
             return res.status(400).json({
                 success: false,
-                error: `Unsupported chain ID: ${chainId}`
+                error: `Unsupported chain ID: ${chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
                 // 不支持的链ID
             });
         }
 
-        // Validate contract support
-        const supportedContracts = getSupportedContracts();
-        if (!supportedContracts.includes(contractName)) {
-            return res.status(400).json({
-                success: false,
-                error: `Unsupported contract: ${contractName}`,
-                supportedContracts: supportedContracts
-                // 不支持的合约
-            });
+        let resolvedName;
+        let resolvedFunction = functionName;
+        let signature;
+        if (abi !== undefined) {
+            // 内联 ABI：校验后按函数选择器缓存
+            ({ contractName: resolvedName, functionName: resolvedFunction, signature } = resolveInlineAbi(abi, functionName));
+        } else {
+            // Validate contract support, resolving the contract name of bound addresses
+            await loadAbiRegistry();
+            resolvedName = resolveContractName(chainId, contractAddress, contractName);
+            const supportedContracts = getSupportedContracts();
+            if (!supportedContracts.includes(resolvedName)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unsupported contract: ${resolvedName}`,
+                    code: ERROR_CODES.UNSUPPORTED_CONTRACT,
+                    supportedContracts: supportedContracts
+                    // 不支持的合约
+                });
+            }
         }
 
+        // 指定时间点时解析为对应的区块号
+        const sessionKey = getClientSessionKey(req);
+        const resolvedBlockTag = blockTag === undefined ? undefined : await resolveBlockTag(chainId, blockTag, { sessionKey: sessionKey });
+
         // Execute contract call
         const result = await handleContractCall(
             chainId,
             contractAddress,
-            contractName,
-            functionName,
+            resolvedName,
+            resolvedFunction,
             params,
             fromAddress,
-            value
+            value,
+            { sessionKey: sessionKey, consistency: getClientConsistency(req), numberFormat: numberFormat, blockTag: resolvedBlockTag }
         );
 
         // Return successful response with call information
@@ -82,8 +116,11 @@ export default async function handler(req, res) {
             callInfo: {
                 chainId: chainId,
                 contractAddress: contractAddress,
-                contractName: contractName,
-                functionName: functionName,
+                contractName: abi === undefined ? resolvedName : null,
+                functionName: resolvedFunction,
+                ...(signature && { signature: signature }),
+                returnType: getReturnType(getContractFunction(resolvedName, resolvedFunction)),
+                ...(resolvedBlockTag !== undefined && { blockTag: resolvedBlockTag }),
                 params: params,
                 fromAddress: fromAddress,
                 value: value
@@ -92,9 +129,14 @@ export default async function handler(req, res) {
 
     } catch (error) {
         console.error('Contract call error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
+
+        // 按错误分类返回状态码，合约回滚时附带解码后的错误信息
+        res.status(getHttpStatus(error)).json({
+            ...createErrorBody(error),
+            ...(error instanceof ContractRevertError && { revert: error.revert }),
+            ...(error.data && Array.isArray(error.data.candidates) && { candidates: error.data.candidates }),
+            ...(error.data && Array.isArray(error.data.errors) && { errors: error.data.errors }),
+            ...(error instanceof QuorumError && { quorum: error.data })
         });
     }
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { ethers } from 'ethers';
+import { rpcConfig, getSupportedContracts, resolveContractName, getContractEvents, getClientSessionKey } from '../../../lib/rpcHandler';
+import { loadAbiRegistry } from '../../../lib/abiRegistry';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for Contract Events
+ *
+ * This endpoint returns the decoded logs of a contract event over a block range, using the
+ * contract ABIs from abi.json and the ABI registry. Indexed arguments can be filtered by name, and large block
+ * ranges are returned page by page with a cursor for the next page.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        // Extract request parameters
+        const {
+            chainId,
+            contractAddress,
+            contractName,
+            eventName,
+            filters = {},
+            fromBlock,
+            toBlock,
+            cursor,
+            limit,
+            blockRange
+        } = req.body;
+
+        // Validate required parameters
+        if (!chainId || !contractAddress || !eventName) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters',
+                code: ERROR_CODES.INVALID_PARAMS,
+                required: ['chainId', 'contractAddress', 'eventName']
+                // 缺少必要参数
+            });
+        }
+
+        // Validate chain ID
+        const chainExists = rpcConfig.some(chain => chain.chainId === chainId || chain.networkId === chainId);
+        if (!chainExists) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        // Validate contract support, resolving the contract name of bound addresses
+        await loadAbiRegistry();
+        const resolvedName = resolveContractName(chainId, contractAddress, contractName);
+        const supportedContracts = getSupportedContracts();
+        if (!supportedContracts.includes(resolvedName)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported contract: ${resolvedName}`,
+                code: ERROR_CODES.UNSUPPORTED_CONTRACT,
+                supportedContracts: supportedContracts
+                // 不支持的合约
+            });
+        }
+
+        if (!ethers.isAddress(contractAddress)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid contract address: ${contractAddress}`,
+                code: ERROR_CODES.INVALID_PARAMS
+                // 无效的合约地址
+            });
+        }
+
+        if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+            return res.status(400).json({
+                success: false,
+                error: 'filters must be an object of indexed argument values by name',
+                code: ERROR_CODES.INVALID_PARAMS
+            });
+        }
+
+        const result = await getContractEvents(
+            chainId,
+            contractAddress,
+            resolvedName,
+            eventName,
+            filters,
+            { fromBlock, toBlock, cursor },
+            { sessionKey: getClientSessionKey(req), limit: limit, blockRange: blockRange }
+        );
+
+        res.json({
+            success: true,
+            chainId: chainId,
+            contractAddress: contractAddress,
+            contractName: resolvedName,
+            count: result.events.length,
+            ...result
+        });
+    } catch (error) {
+        console.error('Contract events error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { rpcConfig, handleContractMulticall, getClientSessionKey, getClientConsistency } from '../../../lib/rpcHandler';
+import { resolveBlockTag } from '../../../lib/blockTag';
+import { QuorumError } from '../../../lib/quorum';
+import { MulticallCallError } from '../../../lib/multicall';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for Batched Contract Reads
+ *
+ * This endpoint reads several view or pure contract functions in one request. The reads are
+ * aggregated through Multicall3 (one eth_call per 100 reads) on chains where it is deployed,
+ * and sent as parallel calls elsewhere. Each result is decoded separately; a failing read is
+ * reported in its result unless it sets allowFailure to false. Results are shaped after the
+ * ABI outputs of each function, with numbers formatted according to numberFormat. All reads
+ * are made at blockTag (block number, block hash, named tag or point in time), latest if omitted.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        const { chainId, calls, numberFormat, blockTag } = req.body;
+
+        // Validate required parameters
+        if (!chainId || !calls) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters',
+                code: ERROR_CODES.INVALID_PARAMS,
+                required: ['chainId', 'calls']
+                // 缺少必要参数
+            });
+        }
+
+        // Validate chain ID
+        const chainExists = rpcConfig.some(chain => chain.chainId === chainId || chain.networkId === chainId);
+        if (!chainExists) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        // 指定时间点时解析为对应的区块号
+        const sessionKey = getClientSessionKey(req);
+        const resolvedBlockTag = blockTag === undefined ? undefined : await resolveBlockTag(chainId, blockTag, { sessionKey: sessionKey });
+
+        const { multicall, results } = await handleContractMulticall(chainId, calls, {
+            sessionKey: sessionKey,
+            consistency: getClientConsistency(req),
+            numberFormat: numberFormat,
+            blockTag: resolvedBlockTag
+        });
+
+        res.json({
+            success: true,
+            chainId: chainId,
+            multicall: multicall,
+            ...(resolvedBlockTag !== undefined && { blockTag: resolvedBlockTag }),
+            count: results.length,
+            results: results
+        });
+    } catch (error) {
+        console.error('Contract multicall error:', error.message);
+        res.status(getHttpStatus(error)).json({
+            ...createErrorBody(error),
+            ...(error instanceof MulticallCallError && { index: error.index, revert: error.revert }),
+            ...(error.data && Array.isArray(error.data.candidates) && { candidates: error.data.candidates }),
+            ...(error.data && Array.isArray(error.data.errors) && { errors: error.data.errors }),
+            ...(error instanceof QuorumError && { quorum: error.data })
+        });
+    }
+}
\ No newline at end of file
@@ -1,23 +1,24 @@
-import { abiConfig, getSupportedContracts } from '../../lib/rpcHandler';
+import { getSupportedContracts } from '../../lib/rpcHandler';
+import { loadAbiRegistry } from '../../lib/abiRegistry';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../lib/errors';
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({
             success: false,
-            error: 'Method not allowed'
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
         });
     }
 
     try {
+        await loadAbiRegistry();
         const contracts = getSupportedContracts();
         res.json({
             success: true,
             contracts: contracts
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
     }
 }
\ No newline at end of file
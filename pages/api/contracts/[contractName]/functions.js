@@ -1,21 +1,26 @@
-import { abiConfig, getContractFunctions } from '../../../../lib/rpcHandler';
+import { getContractFunctions } from '../../../../lib/rpcHandler';
+import { loadAbiRegistry } from '../../../../lib/abiRegistry';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../../lib/errors';
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({
             success: false,
-            error: 'Method not allowed'
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
         });
     }
 
     try {
+        await loadAbiRegistry();
         const { contractName } = req.query;
         const functions = getContractFunctions(contractName);
 
         if (functions.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: `未找到合约 ${contractName} 或该合约没有函数`
+                error: `未找到合约 ${contractName} 或该合约没有函数`,
+                code: ERROR_CODES.NOT_FOUND
             });
         }
 
@@ -25,9 +30,6 @@ export default function handler(req, res) {
             functions: functions
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
     }
 }
\ No newline at end of file
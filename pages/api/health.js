@@ -1,8 +1,11 @@
+import { ERROR_CODES } from '../../lib/errors';
+
 export default function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({
             success: false,
-            error: 'Method not allowed'
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
         });
     }
 
@@ -0,0 +1,58 @@
+import { getChainConfig, getClientSessionKey, scanLogs } from '../../../lib/rpcHandler';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for Paginated Log Scans
+ *
+ * Scans the logs of large block ranges page by page. The first request carries the filter
+ * (address, topics, fromBlock, toBlock), every response carries a nextCursor that is sent
+ * back as cursor to get the next page, until it is null. Each page is fetched in chunks sized
+ * to the block range limits of the selected nodes.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    const chain = getChainConfig(Number(req.query.chainId));
+    if (!chain) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported chain ID: ${req.query.chainId}`,
+            code: ERROR_CODES.UNSUPPORTED_CHAIN
+            // 不支持的链ID
+        });
+    }
+
+    const { address, topics, fromBlock, toBlock, blockHash, cursor, limit, blockRange } = req.body || {};
+
+    try {
+        const page = await scanLogs(chain.chainId, { address, topics, fromBlock, toBlock, blockHash, cursor }, {
+            sessionKey: getClientSessionKey(req),
+            limit: limit,
+            blockRange: blockRange
+        });
+
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            fromBlock: page.fromBlock,
+            toBlock: page.toBlock,
+            count: page.logs.length,
+            logs: page.logs,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Log scan error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
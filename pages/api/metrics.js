@@ -0,0 +1,31 @@
+import { getCoalescingStats } from '../../lib/requestCoalescer';
+import { getCacheStats } from '../../lib/rpcCache';
+import { getWebSocketStats } from '../../lib/wsProxy';
+import { ERROR_CODES } from '../../lib/errors';
+
+/**
+ * API Handler for Proxy Metrics
+ *
+ * Returns request coalescing counters (how many identical concurrent calls shared a single
+ * upstream call), response cache counters and the upstream WebSocket connections.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ */
+export default function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    res.json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        coalescing: getCoalescingStats(),
+        cache: getCacheStats(),
+        websockets: getWebSocketStats()
+    });
+}
\ No newline at end of file
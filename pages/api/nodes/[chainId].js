@@ -0,0 +1,53 @@
+import { getChainConfig, getChainNodeStatus, probeChainNodes } from '../../../lib/rpcHandler';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for RPC Node Status
+ *
+ * Returns the node health registry entries (circuit state, successes, failures, rate limits,
+ * head block and block lag) for every RPC node of a chain. Pass probe=true to actively probe
+ * all nodes first.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        const chainId = Number(req.query.chainId);
+        const chain = getChainConfig(chainId);
+        if (!chain) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${req.query.chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        if (req.query.probe === 'true') {
+            await probeChainNodes(chain.chainId);
+        }
+
+        const { chainHead, maxBlockLag, nodes } = getChainNodeStatus(chain.chainId);
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            name: chain.name,
+            chainHead: chainHead,
+            maxBlockLag: maxBlockLag,
+            healthyNodes: nodes.filter(node => node.state === 'closed' && !node.lagging).length,
+            nodes: nodes
+        });
+    } catch (error) {
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { getClientSessionKey } from '../../../lib/rpcHandler';
+import { getPortfolio } from '../../../lib/portfolio';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+/**
+ * API Handler for Cross-Chain Portfolios
+ *
+ * Returns the native balance and the ERC-20 balances of an address on the selected chains,
+ * as raw and decimal-formatted amounts. Chains are queried in parallel; failures are reported
+ * per chain and per token, and chains that do not answer within the time budget (timeoutMs)
+ * are reported as timed out while the other chains are still returned.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    const { address } = req.query;
+    const { chains, timeoutMs } = req.body || {};
+
+    try {
+        const portfolio = await getPortfolio(address, chains, {
+            timeoutMs: timeoutMs,
+            sessionKey: getClientSessionKey(req)
+        });
+
+        // 部分链失败时仍返回 200，由各链的 success 字段说明
+        res.json({
+            success: true,
+            address: address,
+            ...portfolio
+        });
+    } catch (error) {
+        console.error('Portfolio error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -1,10 +1,13 @@
-import { handleRpcRequest } from '../../lib/rpcHandler';
+import { handleRpcRequest, handleRpcBatch, getClientSessionKey, getClientConsistency } from '../../lib/rpcHandler';
+import { QuorumError } from '../../lib/quorum';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../lib/errors';
 
 /**
  * API Handler for RPC Requests
  *
  * This endpoint handles generic blockchain RPC requests and forwards them to the appropriate
- * blockchain network based on the provided chain ID. It supports all standard Ethereum RPC methods.
+ * blockchain network based on the provided chain ID. It supports all standard Ethereum RPC methods,
+ * and JSON-RPC batch arrays passed as the request parameter.
  *
  * @param {Object} req - The HTTP request object
  * @param {Object} res - The HTTP response object
@@ -15,7 +18,8 @@ export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({
             success: false,
-            error: 'Method not allowed'
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
         });
     }
 
@@ -26,14 +30,20 @@ export default async function handler(req, res) {
         if (!chainId || !request) {
             return res.status(400).json({
                 error: 'Missing required parameters',
+                code: ERROR_CODES.INVALID_PARAMS,
                 message: 'Both chainId and request parameters are required'
                 // 缺少必要参数
                 // 需要 chainId 和 request 参数
             });
         }
 
-        // Process the RPC request
-        const result = await handleRpcRequest(request, chainId);
+        const options = { sessionKey: getClientSessionKey(req), consistency: getClientConsistency(req) };
+
+        // Process the RPC request (a batch array returns one JSON-RPC response object per item)
+        // Batch items may omit jsonrpc and id here, as single requests do
+        const result = Array.isArray(request)
+            ? await handleRpcBatch(request.map((item, index) => ({ jsonrpc: '2.0', id: index, ...item })), chainId, options)
+            : await handleRpcRequest(request, chainId, options);
 
         // Return successful response
         res.json({
@@ -42,9 +52,9 @@ export default async function handler(req, res) {
         });
     } catch (error) {
         console.error('RPC request error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        res.status(getHttpStatus(error)).json({
+            ...createErrorBody(error),
+            ...(error instanceof QuorumError && { quorum: error.data })
         });
     }
 }
\ No newline at end of file
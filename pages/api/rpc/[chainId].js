@@ -0,0 +1,105 @@
+import { rpcConfig, forwardRpcRequest, handleRpcBatch, getClientSessionKey, getClientConsistency } from '../../../lib/rpcHandler';
+import {
+    JSONRPC_ERRORS,
+    JsonRpcError,
+    readJsonRpcBody,
+    validateJsonRpcRequest,
+    isNotification,
+    getRequestId,
+    createResultResponse,
+    createErrorResponse
+} from '../../../lib/jsonRpc';
+import { ERROR_CODES, ProxyError, toJsonRpcError } from '../../../lib/errors';
+
+// The raw body is read manually so that malformed JSON can be answered with a JSON-RPC parse error
+export const config = {
+    api: {
+        bodyParser: false
+    }
+};
+
+/**
+ * API Handler for Standard JSON-RPC 2.0 Requests
+ *
+ * This endpoint exposes each supported chain as a spec-compliant JSON-RPC 2.0 endpoint
+ * (e.g. /api/rpc/1), so ethers.JsonRpcProvider, viem, MetaMask or Foundry can be pointed
+ * at the proxy directly. The caller's id is echoed back and upstream node errors are
+ * returned as JSON-RPC error objects. Batch arrays are supported, with each item retried
+ * independently on node errors.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    // Allow browser based wallets and dapps to call the endpoint
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id, X-Rpc-Consistency');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', ['POST', 'OPTIONS']);
+        return res.status(405).json(createErrorResponse(null, new ProxyError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed')));
+    }
+
+    let request;
+    try {
+        request = await readJsonRpcBody(req);
+    } catch (error) {
+        return res.json(createErrorResponse(null, error));
+    }
+
+    // Validate chain ID (accepts decimal or 0x-prefixed hex)
+    const chainId = Number(req.query.chainId);
+    const chainExists = Number.isInteger(chainId) && rpcConfig.some(chain => chain.chainId === chainId || chain.networkId === chainId);
+    if (!chainExists) {
+        return res.json(createErrorResponse(getRequestId(request), new ProxyError(ERROR_CODES.UNSUPPORTED_CHAIN, `Unsupported chain ID: ${req.query.chainId}`)));
+        // 不支持的链ID
+    }
+
+    const options = { sessionKey: getClientSessionKey(req), consistency: getClientConsistency(req) };
+
+    // Batch request: one response per non-notification item, in request order
+    if (Array.isArray(request)) {
+        if (request.length === 0) {
+            return res.json(createErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request', 'empty batch')));
+        }
+
+        try {
+            const responses = await handleRpcBatch(request, chainId, options);
+            if (responses.length === 0) {
+                return res.status(204).end();
+            }
+            return res.json(responses);
+        } catch (error) {
+            console.error('JSON-RPC batch request error:', error.message);
+            return res.json(createErrorResponse(null, toJsonRpcError(error)));
+        }
+    }
+
+    const id = getRequestId(request);
+
+    try {
+        validateJsonRpcRequest(request);
+
+        const result = await forwardRpcRequest(request, chainId, options);
+
+        // Notifications do not get a response body
+        if (isNotification(request)) {
+            return res.status(204).end();
+        }
+
+        res.json(createResultResponse(id, result));
+    } catch (error) {
+        console.error('JSON-RPC request error:', error.message);
+        if (isNotification(request)) {
+            return res.status(204).end();
+        }
+        res.json(createErrorResponse(id, toJsonRpcError(error)));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { getChainConfig } from '../../../lib/rpcHandler';
+import { parseStreamQuery, streamChainEvents } from '../../../lib/eventStream';
+import { ERROR_CODES, classifyError, getHttpStatus, createErrorBody } from '../../../lib/errors';
+
+// Event streams stay open far beyond the default response size warning
+export const config = {
+    api: {
+        responseLimit: false
+    }
+};
+
+// Comment lines sent while no events are produced keep proxies from closing the connection
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+// Delay before the browser reconnects after the stream ended
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * API Handler for Server-Sent Events Streams
+ *
+ * Streams new blocks and matching contract logs of a chain as Server-Sent Events, e.g.
+ * /api/stream/1?events=blocks,logs&address=0xdAC1...1ec7:token. Every block's last event
+ * carries the block number as event id, and EventSource resumes after a reconnect by sending
+ * it back as the Last-Event-ID header (?lastEventId=N works as well).
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    const chain = getChainConfig(Number(req.query.chainId));
+    if (!chain) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported chain ID: ${req.query.chainId}`,
+            code: ERROR_CODES.UNSUPPORTED_CHAIN
+            // 不支持的链ID
+        });
+    }
+
+    let subscription;
+    try {
+        subscription = await parseStreamQuery(req.query, chain.chainId);
+    } catch (error) {
+        return res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+
+    const lastEventIdValue = req.headers['last-event-id'] ?? req.query.lastEventId;
+    let lastEventId = null;
+    if (lastEventIdValue !== undefined && lastEventIdValue !== '') {
+        lastEventId = Number(lastEventIdValue);
+        if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Last-Event-ID must be a block number',
+                code: ERROR_CODES.INVALID_PARAMS
+            });
+        }
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'Content-Encoding': 'none',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+    });
+
+    const keepalive = setInterval(() => res.write(': ping\n\n'), KEEPALIVE_INTERVAL_MS);
+
+    const emit = (event, data, id) => {
+        if (closed) {
+            return;
+        }
+        let message = `event: ${event}\n`;
+        if (id !== undefined) {
+            message += `id: ${id}\n`;
+        }
+        res.write(`${message}data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        await streamChainEvents(chain.chainId, subscription, lastEventId, emit, () => closed);
+        // 流到期后客户端会携带 Last-Event-ID 自动重连
+        emit('end', { reason: 'Stream duration reached, reconnect to resume' });
+    } catch (error) {
+        console.error('Event stream error:', error.message);
+        emit('rpc-error', { error: error.message, code: classifyError(error) });
+    } finally {
+        clearInterval(keepalive);
+        res.end();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { getChainConfig, getClientSessionKey } from '../../../../../lib/rpcHandler';
+import { getTokenAllowance } from '../../../../../lib/tokens';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../../../lib/errors';
+
+/**
+ * API Handler for ERC-20 Token Allowances
+ *
+ * Returns the amount of tokens the spender may transfer on behalf of the owner (owner and
+ * spender query parameters), as raw and decimal-formatted amounts. unlimited is true for the
+ * maximum uint256 allowance.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        const chain = getChainConfig(Number(req.query.chainId));
+        if (!chain) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${req.query.chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        const allowance = await getTokenAllowance(chain.chainId, req.query.address, req.query.owner, req.query.spender, {
+            sessionKey: getClientSessionKey(req)
+        });
+
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            ...allowance
+        });
+    } catch (error) {
+        console.error('Token allowance error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
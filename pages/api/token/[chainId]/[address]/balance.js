@@ -0,0 +1,48 @@
+import { getChainConfig, getClientSessionKey } from '../../../../../lib/rpcHandler';
+import { getTokenBalance } from '../../../../../lib/tokens';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../../../lib/errors';
+
+/**
+ * API Handler for ERC-20 Token Balances
+ *
+ * Returns the token balance of the owner given in the owner query parameter, as raw and
+ * decimal-formatted amounts, along with the token metadata.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        const chain = getChainConfig(Number(req.query.chainId));
+        if (!chain) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${req.query.chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        const balance = await getTokenBalance(chain.chainId, req.query.address, req.query.owner, {
+            sessionKey: getClientSessionKey(req)
+        });
+
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            ...balance
+        });
+    } catch (error) {
+        console.error('Token balance error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
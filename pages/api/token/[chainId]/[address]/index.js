@@ -0,0 +1,49 @@
+import { getChainConfig, getClientSessionKey } from '../../../../../lib/rpcHandler';
+import { getTokenSupply } from '../../../../../lib/tokens';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../../../lib/errors';
+
+/**
+ * API Handler for ERC-20 Token Metadata
+ *
+ * Returns the name, symbol and decimals of a token, cached for a day, and its current total
+ * supply as raw and decimal-formatted amounts. Tokens returning name or symbol as bytes32
+ * are supported; name and symbol are null for tokens that do not implement them.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        const chain = getChainConfig(Number(req.query.chainId));
+        if (!chain) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${req.query.chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        const token = await getTokenSupply(chain.chainId, req.query.address, {
+            sessionKey: getClientSessionKey(req)
+        });
+
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            ...token
+        });
+    } catch (error) {
+        console.error('Token metadata error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -13,11 +13,20 @@ const translations = {
         contractAddress: "Contract Address:",
         contractName: "Contract Name:",
         functionName: "Function Name:",
-        parameters: "Parameters (comma separated):",
+        parameters: "Parameters (comma separated or JSON array):",
+        invalidParamsJson: "Invalid JSON params: ",
         calling: "Calling...",
         callContract: "Call Contract",
         error: "Error:",
         callResult: "Call Result:",
+        liveBlocks: "Live Blocks",
+        startStream: "Start Streaming",
+        stopStream: "Stop",
+        waitingForBlocks: "Waiting for the next block...",
+        blockNumber: "Block",
+        blockTime: "Time",
+        transactionCount: "Transactions",
+        blockHash: "Hash",
         usageExamples: "Usage Examples",
         rpcRequestExample: "RPC Request Example",
         contractCallExample: "Contract Call Example",
@@ -41,11 +50,20 @@ const translations = {
         contractAddress: "合约地址:",
         contractName: "合约名称:",
         functionName: "函数名:",
-        parameters: "参数 (用逗号分隔):",
+        parameters: "参数 (用逗号分隔或 JSON 数组):",
+        invalidParamsJson: "参数 JSON 格式无效: ",
         calling: "调用中...",
         callContract: "调用合约",
         error: "错误:",
         callResult: "调用结果:",
+        liveBlocks: "实时区块",
+        startStream: "开始订阅",
+        stopStream: "停止",
+        waitingForBlocks: "等待下一个区块...",
+        blockNumber: "区块",
+        blockTime: "时间",
+        transactionCount: "交易数",
+        blockHash: "哈希",
         usageExamples: "使用示例",
         rpcRequestExample: "RPC 请求示例",
         contractCallExample: "合约调用示例",
@@ -0,0 +1,82 @@
+import { getChainConfig, getClientSessionKey } from '../../../../lib/rpcHandler';
+import { getTransactionStatus } from '../../../../lib/txStatus';
+import { ERROR_CODES, getHttpStatus, createErrorBody } from '../../../../lib/errors';
+
+/**
+ * API Handler for Transaction Status
+ *
+ * Returns the lifecycle status of a transaction: pending, mined, confirmed (once it has the
+ * requested number of confirmations), reverted (with the decoded revert reason), dropped or
+ * replaced by another transaction with the same nonce. Pass confirmations=N to change the
+ * number of confirmations required for the confirmed status.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>}
+ */
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    try {
+        const chainId = Number(req.query.chainId);
+        const chain = getChainConfig(chainId);
+        if (!chain) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported chain ID: ${req.query.chainId}`,
+                code: ERROR_CODES.UNSUPPORTED_CHAIN
+                // 不支持的链ID
+            });
+        }
+
+        const { hash } = req.query;
+        if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid transaction hash',
+                code: ERROR_CODES.INVALID_PARAMS
+                // 无效的交易哈希
+            });
+        }
+
+        let confirmations;
+        if (req.query.confirmations !== undefined) {
+            confirmations = Number(req.query.confirmations);
+            if (!Number.isInteger(confirmations) || confirmations < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'confirmations must be a positive integer',
+                    code: ERROR_CODES.INVALID_PARAMS
+                });
+            }
+        }
+
+        const status = await getTransactionStatus(chain.chainId, hash, {
+            confirmations: confirmations,
+            sessionKey: getClientSessionKey(req)
+        });
+        if (!status) {
+            return res.status(404).json({
+                success: false,
+                error: `Transaction ${hash} not found`,
+                code: ERROR_CODES.NOT_FOUND
+                // 未找到交易
+            });
+        }
+
+        res.json({
+            success: true,
+            chainId: chain.chainId,
+            ...status
+        });
+    } catch (error) {
+        console.error('Transaction status error:', error.message);
+        res.status(getHttpStatus(error)).json(createErrorBody(error));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { SUBSCRIPTION_TYPES } from '../../lib/wsProxy';
+import { ERROR_CODES } from '../../lib/errors';
+
+/**
+ * API Handler for the WebSocket JSON-RPC Endpoint
+ *
+ * WebSocket connections to /api/ws/[chainId] are served by the WebSocket proxy, which proxies
+ * eth_subscribe/eth_unsubscribe to healthy wss:// nodes and forwards every other method over
+ * HTTP. Next.js API routes cannot accept upgrade requests, so the proxy is attached to the HTTP
+ * server at startup (server.js and instrumentation.js) and /api/ws/[chainId] has no route of
+ * its own. This route reports whether the proxy is available on the running server.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ */
+export default function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed',
+            code: ERROR_CODES.METHOD_NOT_ALLOWED
+        });
+    }
+
+    res.json({
+        success: true,
+        endpoint: '/api/ws/[chainId]',
+        available: Boolean(res.socket && res.socket.server && res.socket.server.rpcWebSocketServer),
+        subscriptionTypes: SUBSCRIPTION_TYPES
+    });
+}
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
 /**
  * Home Page Component
@@ -21,6 +21,10 @@ export default function Home() {
     const [error, setError] = React.useState(null);
     const [language, setLanguage] = useState('en');
     const [translations, setTranslations] = useState({});
+    const [streamChainId, setStreamChainId] = useState(1);
+    const [liveBlocks, setLiveBlocks] = useState([]);
+    const [streaming, setStreaming] = useState(false);
+    const eventSourceRef = useRef(null);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -35,6 +39,19 @@ export default function Home() {
         setError(null);
         setResult(null);
 
+        // 以 [ 开头的参数按 JSON 数组解析，可传入数组和结构体参数
+        const paramsText = contractCall.params ? contractCall.params.trim() : '';
+        let params = paramsText ? paramsText.split(',').map(p => p.trim()) : [];
+        if (paramsText.startsWith('[')) {
+            try {
+                params = JSON.parse(paramsText);
+            } catch (err) {
+                setError((translations.invalidParamsJson || 'Invalid JSON params: ') + err.message);
+                setLoading(false);
+                return;
+            }
+        }
+
         try {
             const response = await fetch('/api/contract/call', {
                 method: 'POST',
@@ -43,7 +60,7 @@ export default function Home() {
                 },
                 body: JSON.stringify({
                     ...contractCall,
-                    params: contractCall.params ? contractCall.params.split(',').map(p => p.trim()) : []
+                    params: params
                 }),
             });
 
@@ -61,6 +78,30 @@ export default function Home() {
         }
     };
 
+    const stopStream = () => {
+        if (eventSourceRef.current) {
+            eventSourceRef.current.close();
+            eventSourceRef.current = null;
+        }
+        setStreaming(false);
+    };
+
+    const startStream = () => {
+        stopStream();
+        setLiveBlocks([]);
+
+        // EventSource 断线后会携带 Last-Event-ID 自动重连
+        const source = new EventSource(`/api/stream/${streamChainId}?events=blocks`);
+        source.addEventListener('block', (event) => {
+            const block = JSON.parse(event.data);
+            setLiveBlocks(prev => [block, ...prev].slice(0, 10));
+        });
+        eventSourceRef.current = source;
+        setStreaming(true);
+    };
+
+    useEffect(() => stopStream, []);
+
     const toggleLanguage = () => {
         const newLanguage = language === 'en' ? 'zh' : 'en';
         setLanguage(newLanguage);
@@ -116,10 +157,22 @@ export default function Home() {
                 <h2 style={{ color: '#333', marginBottom: '15px' }}>{translations.apiEndpoints || 'API Endpoints'}</h2>
                 <ul style={{ color: '#666', paddingLeft: '20px' }}>
                     <li><strong>POST /api/rpc</strong> - Generic RPC request</li>
+                    <li><strong>POST /api/rpc/[chainId]</strong> - Standard JSON-RPC 2.0 endpoint</li>
+                    <li><strong>WS /api/ws/[chainId]</strong> - JSON-RPC over WebSocket with eth_subscribe (attached at startup by server.js, GET /api/ws reports availability)</li>
                     <li><strong>GET /api/chains</strong> - Get supported chains list</li>
                     <li><strong>GET /api/contracts</strong> - Get supported contracts list</li>
                     <li><strong>GET /api/contracts/[contractName]/functions</strong> - Get contract functions list</li>
+                    <li><strong>GET/POST /api/abis</strong> - Runtime ABI registry (admin token required)</li>
                     <li><strong>POST /api/contract/call</strong> - Contract call</li>
+                    <li><strong>POST /api/contract/multicall</strong> - Batched contract reads through Multicall3</li>
+                    <li><strong>POST /api/contract/events</strong> - Decoded contract events</li>
+                    <li><strong>GET /api/token/[chainId]/[address]</strong> - ERC-20 token metadata, with /balance and /allowance</li>
+                    <li><strong>POST /api/portfolio/[address]</strong> - Native and ERC-20 balances across chains</li>
+                    <li><strong>GET /api/tx/[chainId]/[hash]</strong> - Transaction status</li>
+                    <li><strong>POST /api/logs/[chainId]</strong> - Paginated log scan over large block ranges</li>
+                    <li><strong>GET /api/stream/[chainId]</strong> - Server-Sent Events stream of new blocks and contract logs</li>
+                    <li><strong>GET /api/nodes/[chainId]</strong> - RPC node status</li>
+                    <li><strong>GET /api/metrics</strong> - Coalescing and cache metrics</li>
                     <li><strong>GET /api/health</strong> - Health check</li>
                 </ul>
             </div>
@@ -195,13 +248,13 @@ export default function Home() {
                         />
                     </div>
                     <div>
-                        <label style={{ display: 'block', marginBottom: '5px', color: '#555' }}>{translations.parameters || 'Parameters (comma separated):'}</label>
+                        <label style={{ display: 'block', marginBottom: '5px', color: '#555' }}>{translations.parameters || 'Parameters (comma separated or JSON array):'}</label>
                         <input
                             type="text"
                             name="params"
                             value={contractCall.params}
                             onChange={handleInputChange}
-                            placeholder="0xaddress, 100, etc."
+                            placeholder='0xaddress, 100 or ["0xaddress", "100"]'
                             style={{
                                 width: '100%',
                                 padding: '8px',
@@ -263,6 +316,67 @@ export default function Home() {
                 )}
             </div>
 
+            <div style={{ backgroundColor: '#f5f5f5', padding: '20px', borderRadius: '8px', marginBottom: '30px' }}>
+                <h2 style={{ color: '#333', marginBottom: '15px' }}>{translations.liveBlocks || 'Live Blocks'}</h2>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', marginBottom: '15px' }}>
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '5px', color: '#555' }}>{translations.chainId || 'Chain ID:'}</label>
+                        <input
+                            type="number"
+                            value={streamChainId}
+                            onChange={(e) => setStreamChainId(Number(e.target.value))}
+                            style={{
+                                padding: '8px',
+                                border: '1px solid #ddd',
+                                borderRadius: '4px',
+                                fontSize: '14px'
+                            }}
+                        />
+                    </div>
+                    <button
+                        onClick={streaming ? stopStream : startStream}
+                        style={{
+                            backgroundColor: streaming ? '#dc3545' : '#007bff',
+                            color: 'white',
+                            border: 'none',
+                            padding: '10px 20px',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '14px'
+                        }}
+                    >
+                        {streaming ? (translations.stopStream || 'Stop') : (translations.startStream || 'Start Streaming')}
+                    </button>
+                </div>
+
+                {streaming && liveBlocks.length === 0 && (
+                    <p style={{ color: '#666' }}>{translations.waitingForBlocks || 'Waiting for the next block...'}</p>
+                )}
+
+                {liveBlocks.length > 0 && (
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#555' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left' }}>
+                                <th>{translations.blockNumber || 'Block'}</th>
+                                <th>{translations.blockTime || 'Time'}</th>
+                                <th>{translations.transactionCount || 'Transactions'}</th>
+                                <th>{translations.blockHash || 'Hash'}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {liveBlocks.map(block => (
+                                <tr key={block.hash}>
+                                    <td>{block.number}</td>
+                                    <td>{new Date(block.timestamp * 1000).toLocaleTimeString()}</td>
+                                    <td>{block.transactionCount}</td>
+                                    <td style={{ fontFamily: 'monospace' }}>{block.hash.slice(0, 18)}...</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
             <div style={{ backgroundColor: '#e8f4f8', padding: '20px', borderRadius: '8px', marginBottom: '30px' }}>
                 <h2 style={{ color: '#333', marginBottom: '15px' }}>{translations.usageExamples || 'Usage Examples'}</h2>
                 <h3 style={{ color: '#555', marginBottom: '10px' }}>{translations.rpcRequestExample || 'RPC Request Example'}</h3>
@@ -0,0 +1,69 @@
+/**
+ * Ethers RPC Proxy Server
+ *
+ * Serves the Next.js app from a long-running Node.js HTTP server, so the WebSocket proxy
+ * (/api/ws/[chainId]) is attached to the server at startup by the instrumentation hook
+ * (instrumentation.js). Next.js API routes cannot accept WebSocket upgrades themselves.
+ * Used by `npm start` and `npm run dev`; serverless deployments such as Vercel do not run it.
+ */
+
+const http = require('http');
+const path = require('path');
+const next = require('next');
+
+const PORT = Number(process.env.PORT) || 3000;
+const dev = process.env.NODE_ENV !== 'production';
+
+const app = next({ dev: dev, dir: __dirname });
+const handle = app.getRequestHandler();
+
+const server = http.createServer((req, res) => handle(req, res));
+
+// 供 instrumentation.js 在启动时挂载 WebSocket 代理
+global.rpcProxyServer = server;
+
+/**
+ * Run the instrumentation hook of the production build
+ *
+ * In production Next.js only runs the hook when the first request arrives, so it is run here
+ * before the server accepts connections. The development server runs it while preparing.
+ *
+ * server.js cannot import lib/wsProxy.js itself: the lib modules are ES modules compiled by
+ * Next.js. The hook is therefore loaded from the build output, whose layout
+ * (.next/server/instrumentation.js) is internal to Next.js and verified against the version
+ * pinned in package.json (14.0.4). Check it when upgrading Next.js; a missing hook or a hook
+ * that did not attach the proxy is reported at startup.
+ *
+ * @returns {Promise<void>}
+ */
+async function runInstrumentationHook() {
+    if (dev) {
+        return;
+    }
+
+    const hookPath = path.join(__dirname, '.next', 'server', 'instrumentation.js');
+    try {
+        const hook = require(hookPath);
+        await hook.register();
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+        console.error(`Instrumentation hook not found at ${hookPath}, check the build output layout of the installed Next.js version`);
+    }
+    if (!server.rpcWebSocketServer) {
+        console.error('WebSocket proxy was not attached at startup, /api/ws/[chainId] is unavailable');
+    }
+}
+
+app.prepare()
+    .then(runInstrumentationHook)
+    .then(() => {
+        server.listen(PORT, () => {
+            console.log(`Ethers RPC Proxy listening on http://localhost:${PORT} (${dev ? 'development' : 'production'})`);
+        });
+    })
+    .catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
\ No newline at end of file